@@ -0,0 +1,305 @@
+// databutter - Chart Accessibility
+// prefers-reduced-motion, an accessible summary, a data table alternative and beat announcements
+
+const CHART_TYPE_NAMES = {
+    area: 'Area chart',
+    line: 'Line chart',
+    stackedArea: 'Stacked area chart',
+    step: 'Step chart',
+    bar: 'Bar chart'
+};
+
+// Hidden from sight, still read by screen readers
+const VISUALLY_HIDDEN = {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    padding: '0',
+    margin: '-1px',
+    overflow: 'hidden',
+    clip: 'rect(0, 0, 0, 0)',
+    'white-space': 'nowrap',
+    border: '0'
+};
+
+class ChartAccessibility {
+    constructor(engine) {
+        this.engine = engine;
+        this.prefersReducedMotion = false;
+        this.mediaQuery = null;
+        this.root = null;
+        this.liveRegion = null;
+        this.tableWrapper = null;
+        this.toggleButton = null;
+        this.pendingAnnouncements = [];
+        this.appendTimer = null;
+        
+        this.watchMotionPreference();
+        
+        engine.on('beat', ({ name, beat }) => this.announceBeat(name, beat));
+        engine.on('dataChanged', () => this.render());
+        
+        // A live stream can append many times a second - refresh the summary and table at most once a second
+        engine.on('dataAppended', () => {
+            if (this.appendTimer) return;
+            this.appendTimer = setTimeout(() => {
+                this.appendTimer = null;
+                this.render();
+            }, 1000);
+        });
+    }
+    
+    // Track prefers-reduced-motion live - people switch it on mid-session
+    watchMotionPreference() {
+        if (typeof window === 'undefined' || !window.matchMedia) return;
+        
+        this.mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.prefersReducedMotion = this.mediaQuery.matches;
+        
+        this.handleMotionChange = event => {
+            this.prefersReducedMotion = event.matches;
+            console.log(`♿ prefers-reduced-motion: ${event.matches ? 'reduce' : 'no-preference'}`);
+        };
+        
+        if (this.mediaQuery.addEventListener) {
+            this.mediaQuery.addEventListener('change', this.handleMotionChange);
+        } else if (this.mediaQuery.addListener) {
+            this.mediaQuery.addListener(this.handleMotionChange); // Older Safari
+        }
+    }
+    
+    // Title, description, data table and live region for the current chart
+    render() {
+        const engine = this.engine;
+        const titleId = engine.domId('title');
+        const descId = engine.domId('desc');
+        
+        engine.svg.selectAll("title, desc").remove();
+        engine.svg
+            .attr("role", "img")
+            .attr("aria-labelledby", titleId)
+            .attr("aria-describedby", descId);
+        
+        engine.svg.insert("desc", ":first-child")
+            .attr("id", descId)
+            .text(this.getSummary());
+        engine.svg.insert("title", ":first-child")
+            .attr("id", titleId)
+            .text(this.getTitle());
+        
+        this.renderAlternatives();
+    }
+    
+    // accessibility.title when set, else what's actually plotted - imports and streams aren't daily sales
+    getTitle() {
+        const engine = this.engine;
+        const { title } = engine.animationParams.accessibility;
+        if (title) return title;
+        
+        const type = CHART_TYPE_NAMES[engine.animationParams.renderer] || 'Chart';
+        const names = engine.series.map(series => series.name);
+        const xLabel = engine.xIsTime ? 'date' : (engine.animationParams.axes.xLabel || 'x').toLowerCase();
+        return `${type} of ${names.join(', ')} by ${xLabel}`;
+    }
+    
+    // Plain-language summary from the engine's dataUtils.getSummaryStats() and each series' dataStory
+    getSummary() {
+        const engine = this.engine;
+        const format = engine.formatter;
+        const days = d3.extent(engine.series.flatMap(series => series.rawData), d => d.day);
+        const sentences = [
+            `${CHART_TYPE_NAMES[engine.animationParams.renderer] || 'Chart'} of ${engine.series.length} series from ${format.x(days[0])} to ${format.x(days[1])}.`
+        ];
+        
+        const stats = engine.dataUtils.getSummaryStats();
+        if (stats.bestSeries !== null) {
+            sentences.push(
+                `Total ${format.value(stats.totalSales)}, averaging ${format.value(stats.averageDailySales)} per point.`,
+                `Best series: ${this.seriesName(stats.bestSeries)}. Highest point: ${format.x(parseXValue(stats.bestDay.day))} of ${this.seriesName(stats.bestDay.series)} with ${format.value(stats.bestDay.value)}.`
+            );
+        }
+        if (stats.growthRate !== null) {
+            sentences.push(`Growth from the first to the last series: ${stats.growthRate}%.`);
+        }
+        
+        engine.series.forEach(series => {
+            const story = typeof dataStory !== 'undefined' ? dataStory[series.key] : null;
+            if (story) {
+                sentences.push(`${story.name}: ${story.pattern}. ${story.description}`);
+            }
+        });
+        
+        return sentences.join(' ');
+    }
+    
+    seriesName(key) {
+        const series = this.engine.series.find(candidate => candidate.key === key);
+        return series ? series.name : key;
+    }
+    
+    // Toggleable data table and the live region, placed right after the chart
+    renderAlternatives() {
+        const engine = this.engine;
+        const params = engine.animationParams.accessibility;
+        if (!engine.container) return;
+        
+        if (!this.root) {
+            this.root = d3.select(engine.container).append("div").attr("class", "chart-a11y");
+            
+            this.liveRegion = this.root.append("div")
+                .attr("class", "chart-live-region")
+                .attr("aria-live", "polite")
+                .attr("aria-atomic", "true");
+            Object.entries(VISUALLY_HIDDEN).forEach(([key, value]) => this.liveRegion.style(key, value));
+            
+            this.toggleButton = this.root.append("button")
+                .attr("type", "button")
+                .attr("class", "chart-table-toggle")
+                .attr("aria-expanded", "false")
+                .text("Show data table")
+                .on("click", () => this.toggleTable());
+            
+            this.tableWrapper = this.root.append("div")
+                .attr("id", this.tableId())
+                .attr("class", "chart-table")
+                .attr("role", "region")
+                .attr("tabindex", 0)
+                .style("display", "none")
+                .style("overflow-x", "auto")
+                .style("margin-top", "10px");
+            
+            this.toggleButton.attr("aria-controls", this.tableId());
+        }
+        
+        this.toggleButton.style("display", params.dataTable ? null : "none");
+        this.renderTable();
+    }
+    
+    tableId() {
+        return this.engine.domId('data-table');
+    }
+    
+    // One row per day, one column per series; arrow keys move between cells
+    renderTable() {
+        const engine = this.engine;
+        const days = Array.from(new Set(engine.series.flatMap(series => series.rawData.map(d => d.day))))
+            .sort((a, b) => a - b);
+        const valuesBySeries = engine.series.map(series => new Map(series.rawData.map(d => [d.day, d.value])));
+        
+        this.tableWrapper.selectAll("*").remove();
+        this.tableWrapper.attr("aria-label", "Chart data");
+        
+        const table = this.tableWrapper.append("table")
+            .style("border-collapse", "collapse")
+            .style("font-size", "13px");
+        
+        table.append("caption")
+            .style("text-align", "left")
+            .style("padding-bottom", "6px")
+            .text(this.getTitle());
+        
+        const headerRow = table.append("thead").append("tr");
+        headerRow.append("th").attr("scope", "col").text(engine.xIsTime ? "Date" : engine.animationParams.axes.xLabel);
+        engine.series.forEach(series => headerRow.append("th").attr("scope", "col").text(series.name));
+        
+        const body = table.append("tbody");
+        days.forEach(day => {
+            const row = body.append("tr");
+            row.append("th").attr("scope", "row").text(engine.xIsTime ? engine.formatter.x(day) : day);
+            
+            valuesBySeries.forEach(values => {
+                row.append("td").text(values.has(day) ? engine.formatter.value(values.get(day)) : '—');
+            });
+        });
+        
+        table.selectAll("th, td")
+            .style("padding", "4px 10px")
+            .style("text-align", "right")
+            .attr("tabindex", -1);
+        
+        // Roving tabindex: one cell is tabbable, arrows move focus around the grid
+        const first = table.select("tbody td").node();
+        if (first) {
+            first.tabIndex = 0;
+        }
+        
+        table.on("keydown", event => this.handleTableKey(event, table.node()));
+    }
+    
+    handleTableKey(event, table) {
+        const moves = {
+            ArrowUp: [-1, 0],
+            ArrowDown: [1, 0],
+            ArrowLeft: [0, -1],
+            ArrowRight: [0, 1],
+            Home: [0, -Infinity],
+            End: [0, Infinity]
+        };
+        
+        const move = moves[event.key];
+        const cell = event.target.closest?.("th, td");
+        if (!move || !cell) return;
+        
+        // Arrows here move between cells - they mustn't also step the chart's timeline
+        event.preventDefault();
+        event.stopPropagation();
+        
+        const rows = Array.from(table.rows);
+        const rowIndex = Math.max(0, Math.min(rows.length - 1, rows.indexOf(cell.parentNode) + move[0]));
+        const cells = rows[rowIndex].cells;
+        const cellIndex = Math.max(0, Math.min(cells.length - 1, cell.cellIndex + move[1]));
+        const next = cells[cellIndex];
+        
+        cell.tabIndex = -1;
+        next.tabIndex = 0;
+        next.focus();
+    }
+    
+    toggleTable(show) {
+        const visible = show ?? this.tableWrapper.style("display") === "none";
+        
+        this.tableWrapper.style("display", visible ? null : "none");
+        this.toggleButton
+            .attr("aria-expanded", String(visible))
+            .text(visible ? "Hide data table" : "Show data table");
+    }
+    
+    // Beats reached in the same frame (a fast or reduced-motion reveal) are read out together
+    announceBeat(name, beat) {
+        // An export replaying the reveal reaches every beat at once - nothing to read out
+        if (!this.liveRegion || this.engine.isExporting || !this.engine.animationParams.accessibility.announceBeats) return;
+        
+        const moment = this.engine.annotations.formatMoment(beat.moment);
+        this.pendingAnnouncements.push(`${name}, ${this.engine.formatter.x(beat.day)}: ${beat.text || moment}`);
+        
+        if (this.pendingAnnouncements.length === 1) {
+            queueMicrotask(() => {
+                this.liveRegion.text(this.pendingAnnouncements.join('. '));
+                this.pendingAnnouncements = [];
+            });
+        }
+    }
+    
+    destroy() {
+        clearTimeout(this.appendTimer);
+        this.appendTimer = null;
+        
+        if (this.mediaQuery && this.handleMotionChange) {
+            if (this.mediaQuery.removeEventListener) {
+                this.mediaQuery.removeEventListener('change', this.handleMotionChange);
+            } else if (this.mediaQuery.removeListener) {
+                this.mediaQuery.removeListener(this.handleMotionChange);
+            }
+        }
+        
+        if (this.root) {
+            this.root.remove();
+            this.root = null;
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartAccessibility };
+}
\ No newline at end of file
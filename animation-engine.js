@@ -1,414 +1,2283 @@
-addSettleEffect() {
-        console.log('🍮 Adding GSAP settle effects after data-aware reveal');
+// databutter - Data-Aware Clipping Animation Engine
+// GPU-accelerated clipping with Y-aware leading edge shaping
+
+const PLAYBACK_MODES = ['once', 'loop', 'yoyo'];
+const STEP_FRAME_RATE = 60; // stepFrame() moves the playhead in 1/60s frames
+
+class ButteryAnimationEngine {
+    // params: any engine parameters (or a preset), plus id - the chart's page-unique id, defaulting to the SVG's
+    constructor(data, svgSelector, params = {}) {
+        const { id, ...settings } = params;
+        this.animationParams = this.getDefaultParameters();
+        
+        // Presets (and any caller overrides) map straight onto the timeline
+        this.applyPreset(settings);
+        
+        // Palette, axis, effect and annotation colors - 'auto' follows the OS light/dark setting
+        this.theme = resolveTheme(this.animationParams.theme);
+        this.themeTween = null;
+        this.unwatchTheme = watchThemePreference(() => {
+            if (isAutoTheme(this.animationParams.theme)) {
+                this.setTheme(this.animationParams.theme);
+            }
+        });
+        
+        // Every non-day column is its own series (year1, year2, year3...); dates in day mean a time axis
+        this.xIsTime = this.detectTimeX(data);
+        this.series = this.createSeries(data);
+        this.populateNarrativeBeats();
+        this.updateFormatter();
+        
+        // Summary stats and beat helpers for whatever data is on screen - swapped in updateData()
+        this.dataUtils = new DataUtilities(data);
+        
+        // What randomizeData() varies around - the chart's own data, never a previous randomization
+        this.baseData = data;
+        
+        this.svg = d3.select(svgSelector);
+        
+        // Several charts can share a page - every DOM id this one creates is prefixed with its id
+        this.id = EngineRegistry.register(this, id || this.svg.node()?.id);
+        this.domIdCounter = 0;
+        
+        // Off until startProfiling(): times every frame phase and setup step (see profiler.js)
+        this.profiler = new FrameProfiler({ name: this.id });
+        
+        // Lookup resolution, drawn point budget and edge look-ahead follow the shared monitor's constraints
+        const monitor = typeof window !== 'undefined' ? window.performanceMonitor : null;
+        this.performanceLevel = monitor?.performanceLevel || 'high'; // Last level the monitor broadcast
+        this.constraints = monitor?.getComplexityConstraints?.() || null;
+        this.quality = this.getQualitySettings(this.constraints);
+        
+        this.timeline = null;
+        this.timelineSpeed = 1;
+        this.settleTweens = [];
+        this.morphTween = null;
+        this.streamTween = null;  // Scale rescale after appendData()
+        this.streamDomains = null; // Where that rescale is heading
+        this.isStreaming = false; // appendData() drives each series' edge instead of the timeline
+        this.isPlaying = false;
+        this.isExporting = false; // Frame or audio export is stepping the timeline
+        this.dataSeed = null;     // Seed the current data was generated from (null for supplied data)
+        this.listeners = {}; // event name → callbacks (see on/off/emit)
+        
+        // Chart dimensions - sized from the container when sizing.responsive is on
+        this.margin = { top: 20, right: 30, bottom: 40, left: 60 };
+        this.container = this.svg.node()?.parentNode || null;
+        this.resizeObserver = null;
+        
+        // Glow / particle trail at the clip edge, and narrative beat callouts, drawn over the series
+        this.effects = new LeadingEdgeEffects(this);
+        this.annotations = new NarrativeAnnotations(this);
+        
+        // Hover crosshair and tooltip over the revealed part of the chart
+        this.interaction = new HoverInteraction(this);
+        
+        // Reduced motion, accessible summary, data table and beat announcements
+        this.accessibility = new ChartAccessibility(this);
+        
+        // Optional audio track: pitch follows the value under the edge, tones at narrative beats
+        this.sonifier = new DataSonifier(this);
+        
+        // Deterministic frame-by-frame export (animated SVG, PNG zip, GIF)
+        this.exporter = new FrameExporter(this);
+        
+        const initialSize = this.computeChartSize(...this.measureContainer());
+        this.width = initialSize.outerWidth - this.margin.left - this.margin.right;
+        this.height = initialSize.outerHeight - this.margin.top - this.margin.bottom;
+        
+        // Data-aware clipping state (curve lookup and clip path live on each series)
+        this.currentClipX = 0;
+        
+        this.setupChart();
+        this.setupResponsiveSizing();
+        
+        console.log('🎨 Data-Aware Clipping Engine ready - Y-responsive leading edge');
+    }
+    
+    // Baseline parameters - every animation principle off, plain power2 reveal
+    getDefaultParameters() {
+        return {
+            animationSpeed: 1.0,
+            drawingDuration: 2.0,
+            leadingEdgeBulge: 0.15, // How much the leading edge bulges (15% of data height)
+            curveSmoothing: 8, // How many pixels ahead to look for curve preview
+            renderer: 'area', // Key into ChartRenderers: area, line, stackedArea, step, bar
+            backend: 'svg',   // Key into RenderBackends: svg, or canvas for dense pages
+            theme: 'auto',    // 'auto', 'light', 'dark', 'highContrast' or { base, ...overrides } (see themes.js)
+            sizing: {
+                responsive: true,  // Follow the container's width via ResizeObserver
+                aspectRatio: 2.5,  // width / height; null = use the container's height
+                width: 1000,       // Fallback when the container can't be measured
+                height: 400,
+                minWidth: 280,
+                maxWidth: null,
+                minHeight: 180,
+                maxHeight: null
+            },
+            squashAndStretch: {
+                enabled: false,
+                squashAmount: 0.95,   // scaleY on landing
+                stretchAmount: 1.05,  // scaleY while the reveal leaps forward
+                squashDuration: 0.2,
+                stretchDuration: 0.25
+            },
+            anticipation: {
+                enabled: false,
+                pullbackAmount: 0.98, // scaleY of the crouch before the reveal
+                pauseDuration: 0.03   // Hold at the bottom of the crouch
+            },
+            followThrough: {
+                enabled: false,
+                overshootAmount: 1.02, // scaleY peak after landing
+                settleDuration: 0.3
+            },
+            timing: {
+                baseDuration: 2000,   // ms, mirrored into drawingDuration
+                staggerDelay: 300,    // ms between the start of each series reveal
+                organicVariation: 0,  // ± fraction of random duration variation per series
+                accelerando: false,   // Each later series reveals faster
+                dramaticPauses: false, // Hold the leading edge at dramatic narrative beats
+                dramaticPauseDuration: 0.4, // Seconds per hold, before animationSpeed
+                maxSegments: 4        // Most pieces one reveal is split into by pauses
+            },
+            secondaryAction: {
+                enabled: false,
+                jiggleIntensity: 1,   // Pixels of wobble on landing
+                microVariations: false,
+                breathingEffect: false
+            },
+            easing: {
+                mainActionEase: "power2.inOut",
+                adaptiveEasing: false // Use each series' dataStory personality instead
+            },
+            playback: {
+                mode: 'once'          // once, loop (restart) or yoyo (reveal then un-reveal)
+            },
+            effects: {
+                enabled: true,        // Density follows the performance monitor; off at 'low'
+                glow: true,
+                particles: true,
+                highlight: true,      // Fading highlight on the stroke just behind the edge
+                particleRate: 40,     // Particles per second per series at full density
+                maxParticles: 36,
+                trailLength: 48       // Highlight length in pixels
+            },
+            interaction: {
+                hover: true           // Crosshair + tooltip from the curve lookup
+            },
+            accessibility: {
+                reducedMotion: 'auto',      // 'auto' follows prefers-reduced-motion; true / false force it
+                reducedMotionReveal: 'fade', // 'fade' or 'instant' - never a sweep, squash or jiggle
+                announceBeats: true,        // Read narrative beats out through an ARIA live region
+                dataTable: true,            // Offer a keyboard-navigable table of the data
+                title: null                 // Accessible name; null = chart type, series and x axis
+            },
+            annotations: {
+                enabled: true,
+                beats: {}             // Per series key: [{ day, moment, label?, text?, dramatic? }]
+            },
+            axes: {
+                xType: 'auto',        // 'auto' = a time axis when x values are Dates or ISO strings; 'linear' / 'time' force it
+                xLabel: 'Day'         // Numeric x values read "Day 3"
+            },
+            format: {
+                locale: null,         // BCP 47 tag such as 'de-DE'; null = the browser's
+                style: 'number',      // number, currency, percent (values are fractions) or unit
+                currency: 'USD',
+                unit: null,           // Intl unit for style 'unit', e.g. 'kilogram' or 'megabyte-per-second'
+                maximumFractionDigits: 0
+            },
+            streaming: {
+                window: null,         // Days kept on screen by appendData(); null = the x domain keeps growing
+                headroom: 0.1,        // Fraction of the span kept free ahead of "now", so most points don't rescale x
+                rescaleDuration: 0.5, // Seconds to ease the scales to new domains
+                advanceDuration: 0.6  // Seconds for the leading edge to catch up with the newest point
+            },
+            sonification: {
+                enabled: false,       // Audio needs a user gesture, so it is opt-in
+                muted: false,
+                volume: 0.3,          // Master gain, 0-1
+                scale: 'pentatonic',  // pentatonic, major, minor or chromatic
+                baseNote: 48,         // MIDI note for a zero value (C3)
+                octaves: 2,           // Range the y domain spans
+                beatTones: true       // Bell at each narrative beat
+            }
+        };
+    }
+    
+    // Subscribe to engine events: play, pause, resume, reverse, seek, timeupdate, loop,
+    // progress, beat, complete, reset, dataChanged, dataAppended, resize, themeChanged, performanceChange. Returns an unsubscribe function.
+    on(event, callback) {
+        (this.listeners[event] = this.listeners[event] || []).push(callback);
+        return () => this.off(event, callback);
+    }
+    
+    once(event, callback) {
+        const wrapper = (...args) => {
+            unsubscribe();
+            callback(...args);
+        };
+        wrapper.original = callback; // Lets off(event, callback) find it
+        const unsubscribe = this.on(event, wrapper);
+        return unsubscribe;
+    }
+    
+    off(event, callback) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = callback
+            ? this.listeners[event].filter(listener => listener !== callback && listener.original !== callback)
+            : [];
+    }
+    
+    emit(event, detail = {}) {
+        const listeners = this.listeners[event];
+        if (!listeners || !listeners.length) return;
+        
+        // Copy first - a listener may unsubscribe while we're iterating
+        listeners.slice().forEach(callback => {
+            try {
+                callback({ type: event, engine: this, ...detail });
+            } catch (error) {
+                console.error(`Engine "${event}" listener error:`, error);
+            }
+        });
+    }
+    
+    // Merge a preset (or any partial parameter object) into the engine
+    applyPreset(preset = {}) {
+        const { name, description, ...settings } = preset;
+        const defaults = this.getDefaultParameters();
+        
+        Object.keys(settings).forEach(key => {
+            const value = settings[key];
+            
+            // Preset sections replace the current ones wholesale so nothing leaks between presets
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this.animationParams[key] = this.deepMerge(typeof defaults[key] === 'object' ? defaults[key] : {}, value);
+            } else {
+                this.animationParams[key] = value;
+            }
+        });
+        
+        if (settings.timing?.baseDuration !== undefined && settings.drawingDuration === undefined) {
+            this.animationParams.drawingDuration = this.animationParams.timing.baseDuration / 1000;
+        }
+        
+        if (name) {
+            console.log(`🎭 Engine preset applied: ${name}`);
+        }
+    }
+    
+    deepMerge(target, source) {
+        const result = { ...target };
+        
+        Object.keys(source || {}).forEach(key => {
+            const value = source[key];
+            
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                result[key] = this.deepMerge(target?.[key] || {}, value);
+            } else {
+                result[key] = value;
+            }
+        });
+        
+        return result;
+    }
+    
+    // Read a dotted parameter path, e.g. 'anticipation.pullbackAmount'
+    getParameter(path) {
+        return path.split('.').reduce((obj, key) => obj?.[key], this.animationParams);
+    }
+    
+    setParameter(path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((obj, key) => {
+            if (!obj[key] || typeof obj[key] !== 'object') {
+                obj[key] = {};
+            }
+            return obj[key];
+        }, this.animationParams);
+        
+        parent[last] = value;
+        
+        // baseDuration (ms) and drawingDuration (s) describe the same thing
+        if (path === 'timing.baseDuration') {
+            this.animationParams.drawingDuration = value / 1000;
+        } else if (path === 'drawingDuration') {
+            this.animationParams.timing.baseDuration = value * 1000;
+        }
+        
+        // Transport settings apply to the running timeline straight away
+        if (this.timeline && path === 'animationSpeed') {
+            this.timeline.timeScale(value / this.timelineSpeed);
+        } else if (this.timeline && path === 'playback.mode') {
+            this.timeline.repeat(value === 'once' ? 0 : -1).yoyo(value === 'yoyo');
+        } else if (path.startsWith('sonification.')) {
+            this.sonifier.applySettings();
+        } else if (path.startsWith('format.') || path === 'axes.xLabel') {
+            this.applyFormatting();
+        } else if (path === 'theme' || path.startsWith('theme.')) {
+            this.setTheme(this.animationParams.theme);
+        }
+    }
+    
+    // Record per-phase frame and setup timings until stopProfiling()
+    startProfiling() {
+        this.profiler.start();
+    }
+    
+    // Stop recording and return the per-phase summary
+    stopProfiling() {
+        return this.profiler.stop();
+    }
+    
+    // Download the recording as Chrome trace-event JSON
+    exportProfile(filename) {
+        this.profiler.download(filename);
+    }
+    
+    // DOM id for one of this chart's elements, unique on the page however many charts it has
+    domId(name) {
+        return `${this.id}-${name}`;
+    }
+    
+    // A fresh id on every call, for elements that are rebuilt (clip paths, gradients)
+    nextDomId(name) {
+        return `${this.id}-${name}-${++this.domIdCounter}`;
+    }
+    
+    // The shared performance monitor broadcasts every level change to each registered engine
+    adaptToPerformance(level, constraints) {
+        this.performanceLevel = level;
+        this.constraints = constraints;
+        
+        // An export stalls the page on purpose - its frames keep one quality and stay repeatable.
+        // The exporter catches up with applyQuality() once it's done
+        if (!this.isExporting) {
+            this.applyQuality();
+        }
+        
+        this.emit('performanceChange', { level, constraints });
+    }
+    
+    // Constraints → how finely curves are looked up and drawn. No constraints (no monitor) = full quality
+    getQualitySettings(constraints) {
+        const density = Math.max(0.05, Math.min(1, constraints?.maxLookupDensity ?? 1));
+        
+        return {
+            lookupStep: Math.max(1, Math.round(1 / density)), // Pixels between curve lookup samples
+            pointDensity: density,                            // Drawn points per pixel before LTTB thins a series
+            curveSmoothing: constraints?.curveSmoothing ?? Infinity // Cap on the leading edge look-ahead (pixels)
+        };
+    }
+    
+    // Most points a series path draws at the current width
+    getPointBudget(quality = this.quality) {
+        return Math.max(3, Math.ceil(this.width * quality.pointDensity));
+    }
+    
+    // series.shape thinned to the point budget (LTTB), cached until the shape or the budget changes
+    getDrawnShape(series) {
+        const budget = this.getPointBudget();
+        const cached = series.drawnShape;
+        
+        if (cached && cached.source === series.shape && cached.budget === budget) {
+            return cached.points;
+        }
+        
+        const points = downsampleLTTB(series.shape, budget, d => d.day, d => d.y1);
+        series.drawnShape = { source: series.shape, budget, points };
+        return points;
+    }
+    
+    // Rebuild lookups and paths at the quality the constraints allow, mid-animation. Thinned paths
+    // morph to their new points, and the lookup only changes where samples sit, so nothing jumps
+    applyQuality(constraints = this.constraints) {
+        const previous = this.quality;
+        const quality = this.getQualitySettings(constraints);
+        
+        if (quality.lookupStep === previous.lookupStep &&
+            quality.pointDensity === previous.pointDensity &&
+            quality.curveSmoothing === previous.curveSmoothing) {
+            return;
+        }
+        
+        const renderer = this.getRenderer();
+        const drawnBefore = this.series.map(series => renderer.drawnShape(this, series));
+        
+        this.quality = quality;
+        console.log(`🎚️ ${this.id}: curve lookup every ${quality.lookupStep}px, ` +
+            `up to ${this.getPointBudget()} drawn points per series, ${quality.curveSmoothing}px look-ahead`);
+        
+        // Data morphs and stream rescales resample every frame, and rebuild at the new quality when they land
+        if (this.morphTween || this.streamTween) return;
+        
+        const transitions = [];
+        
+        this.series.forEach((series, i) => {
+            if (renderer.drawnShape(this, series) === drawnBefore[i]) {
+                this.sampleCurveLookup(series); // Same path, new sample spacing
+                return;
+            }
+            
+            transitions.push({ series: series, from: series.curveIndex, to: renderer.curveIndex(this, series) });
+        });
+        
+        if (!transitions.length) return;
+        
+        const finish = () => {
+            this.morphTween = null;
+            transitions.forEach(({ series }) => {
+                this.backend.setPath(series, renderer.path(this, series));
+                this.sampleCurveLookup(series);
+                this.applySeriesClip(series);
+            });
+        };
+        
+        if (this.isReducedMotion()) {
+            finish();
+            return;
+        }
+        
+        const state = { t: 0 };
+        this.morphTween = gsap.to(state, {
+            t: 1,
+            duration: 0.4,
+            ease: "power1.inOut",
+            onUpdate: () => transitions.forEach(transition => this.renderMorphFrame(transition, state.t)),
+            onComplete: finish
+        });
+    }
+    
+    getSeriesColor(index, theme = this.theme) {
+        return theme.palette[index % theme.palette.length];
+    }
+    
+    // Fill, stroke and opacity the backend draws a series with
+    getSeriesStyle(series) {
+        const { fillOpacity, gradient } = this.theme;
+        const filled = this.getRenderer().filled;
+        
+        return {
+            fill: filled ? series.color.fill : "none",
+            stroke: series.color.stroke,
+            fillOpacity: fillOpacity,
+            gradient: filled && gradient.enabled ? gradient : null
+        };
+    }
+    
+    // Switch theme, easing every color across - the reveal carries on wherever it is
+    setTheme(theme, { duration = 0.6 } = {}) {
+        this.animationParams.theme = theme;
+        const target = resolveTheme(theme);
+        
+        if (this.themeTween) {
+            this.themeTween.kill();
+            this.themeTween = null;
+        }
+        
+        const targetColors = this.series.map(series => this.getSeriesColor(series.index, target));
+        const finish = () => {
+            this.themeTween = null;
+            this.theme = target;
+            this.series.forEach((series, i) => {
+                series.color = targetColors[i];
+            });
+            this.applyTheme();
+        };
+        
+        console.log(`🎨 Theme: ${target.name}`);
+        this.emit('themeChanged', { theme: target });
+        
+        if (!this.chartGroup || !duration || this.isReducedMotion()) {
+            finish();
+            return;
+        }
+        
+        // d3.interpolate walks the theme object, blending every color it finds
+        const interpolate = d3.interpolate(
+            { theme: this.theme, colors: this.series.map(series => series.color) },
+            { theme: target, colors: targetColors }
+        );
+        const state = { t: 0 };
+        
+        this.themeTween = gsap.to(state, {
+            t: 1,
+            duration: duration,
+            ease: "power1.inOut",
+            onUpdate: () => {
+                const frame = interpolate(state.t);
+                this.theme = frame.theme;
+                this.series.forEach((series, i) => {
+                    series.color = frame.colors[i];
+                });
+                this.applyTheme();
+            },
+            onComplete: finish
+        });
+    }
+    
+    // Restyle what's already drawn from this.theme and each series' color - nothing is rebuilt
+    applyTheme() {
+        if (!this.chartGroup) return;
+        
+        this.svg.style("color", this.theme.text);
+        this.series.forEach(series => this.backend.setColors(series, this.getSeriesStyle(series)));
+        this.chartGroup.selectAll(".legend-color")
+            .style("fill", d => d.color.fill)
+            .style("stroke", d => d.color.stroke);
+        this.styleAxes();
+        this.effects.applyTheme();
+        this.annotations.applyTheme();
+        this.interaction.applyTheme();
+    }
+    
+    // Redraw every label after a format.* change (axes.xType takes effect with the next data)
+    applyFormatting() {
+        this.updateFormatter();
+        
+        if (!this.chartGroup) return;
+        
+        this.updateAxes();
+        this.annotations.render();
+        this.accessibility.render();
+        this.interaction.refresh();
+    }
+    
+    updateValueDisplay(element, value, type) {
+        if (type !== 'range') return;
+        element.textContent = Number.isInteger(Number(value)) ? value : Number(value).toFixed(2);
+    }
+    
+    // Content-box size of the container (0 when it can't be measured yet)
+    measureContainer() {
+        if (!this.container || typeof window === 'undefined' || !window.getComputedStyle) {
+            return [0, 0];
+        }
+        
+        const style = window.getComputedStyle(this.container);
+        const horizontalPadding = parseFloat(style.paddingLeft || 0) + parseFloat(style.paddingRight || 0);
+        const verticalPadding = parseFloat(style.paddingTop || 0) + parseFloat(style.paddingBottom || 0);
+        
+        return [
+            Math.max(0, this.container.clientWidth - horizontalPadding),
+            Math.max(0, this.container.clientHeight - verticalPadding)
+        ];
+    }
+    
+    // Outer SVG size for a container size, honouring aspect ratio and min/max limits
+    computeChartSize(containerWidth, containerHeight) {
+        const { sizing } = this.animationParams;
+        const clamp = (value, min, max) => Math.max(min ?? 0, Math.min(max ?? Infinity, value));
+        
+        if (!sizing.responsive || !containerWidth) {
+            return { outerWidth: sizing.width, outerHeight: sizing.height };
+        }
+        
+        const outerWidth = clamp(containerWidth, sizing.minWidth, sizing.maxWidth);
+        const naturalHeight = sizing.aspectRatio ? outerWidth / sizing.aspectRatio : (containerHeight || sizing.height);
+        const outerHeight = clamp(naturalHeight, sizing.minHeight, sizing.maxHeight);
+        
+        return { outerWidth: Math.round(outerWidth), outerHeight: Math.round(outerHeight) };
+    }
+    
+    // Watch the container and resize in place (falls back to window resize events)
+    setupResponsiveSizing() {
+        if (!this.animationParams.sizing.responsive || !this.container) return;
+        
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(entries => {
+                const { width, height } = entries[entries.length - 1].contentRect;
+                this.resize(width, height);
+            });
+            this.resizeObserver.observe(this.container);
+        } else {
+            let resizeTimeout;
+            this.windowResizeHandler = () => {
+                clearTimeout(resizeTimeout);
+                resizeTimeout = setTimeout(() => this.resize(...this.measureContainer()), 150);
+            };
+            window.addEventListener('resize', this.windowResizeHandler);
+        }
+    }
+    
+    // Recompute scales, paths, curve lookups and clips at the current reveal - no restart
+    resize(containerWidth, containerHeight) {
+        const { outerWidth, outerHeight } = this.computeChartSize(containerWidth, containerHeight);
+        const width = outerWidth - this.margin.left - this.margin.right;
+        const height = outerHeight - this.margin.top - this.margin.bottom;
+        
+        if (width === this.width && height === this.height) return;
+        
+        console.log(`📐 Resizing chart to ${outerWidth}×${outerHeight}`);
+        
+        this.width = width;
+        this.height = height;
+        
+        this.svg
+            .attr("width", outerWidth)
+            .attr("height", outerHeight)
+            .style("height", `${outerHeight}px`);
+        
+        this.xScale.range([0, this.width]);
+        this.yScale.range([this.height, 0]);
+        this.xAxisGroup.attr("transform", `translate(0,${this.height})`);
+        this.updateAxes();
+        
+        this.backend.resize();
+        
+        // A running morph redraws from the new scales on its next frame
+        if (this.morphTween) return;
+        
+        const renderer = this.getRenderer();
+        this.series.forEach(series => {
+            this.backend.setPath(series, renderer.path(this, series));
+            this.generateCurveLookup(series);
+            this.applySeriesClip(series);
+            this.applySeriesMotion(series);
+        });
+        
+        this.effects.clear();
+        this.annotations.render();
+        this.interaction.resize();
+        this.emit('resize', { width: this.width, height: this.height, outerWidth, outerHeight });
+    }
+    
+    // Stop observing the container and kill any running animation
+    destroy() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        
+        if (this.windowResizeHandler) {
+            window.removeEventListener('resize', this.windowResizeHandler);
+            this.windowResizeHandler = null;
+        }
+        
+        if (this.timeline) {
+            this.timeline.kill();
+        }
+        
+        if (this.morphTween) {
+            this.morphTween.kill();
+            this.morphTween = null;
+        }
+        
+        if (this.themeTween) {
+            this.themeTween.kill();
+            this.themeTween = null;
+        }
+        
+        this.unwatchTheme();
+        this.profiler.stop();
+        EngineRegistry.unregister(this);
+        this.stopStreaming();
+        this.effects.clear();
+        this.interaction.destroy();
+        this.accessibility.destroy();
+        this.sonifier.destroy();
+        
+        if (this.backend) {
+            this.backend.destroy();
+        }
+        
+        this.listeners = {};
+    }
+    
+    // Dates or ISO strings in the first row's day make a time axis, unless axes.xType forces one
+    detectTimeX(data) {
+        const { xType } = this.animationParams.axes;
+        if (xType !== 'auto') return xType === 'time';
+        
+        const first = (data || []).find(d => d && d.day !== undefined && d.day !== null);
+        return !!first && isTimeValue(first.day);
+    }
+    
+    // Whether a raw x value belongs on this chart's axis: dates only on a time axis, numbers only on a
+    // numeric one (or a forced time axis, where they're epoch ms)
+    matchesXType(raw) {
+        if (isTimeValue(raw)) return this.xIsTime;
+        return !this.xIsTime || this.animationParams.axes.xType === 'time';
+    }
+    
+    // One formatter for the axes, tooltip, callouts and summaries
+    updateFormatter() {
+        // Times of day are worth showing only when some point isn't at midnight
+        const includeTime = this.xIsTime && this.series.some(series =>
+            series.rawData.some(d => +d3.timeDay(new Date(d.day)) !== d.day));
+        
+        this.formatter = new ChartFormatter({
+            ...this.animationParams.format,
+            xType: this.xIsTime ? 'time' : 'linear',
+            xLabel: this.animationParams.axes.xLabel,
+            includeTime: includeTime
+        });
+    }
+    
+    // A numeric x back to what the data used - a Date on a time axis
+    toXValue(x) {
+        return this.xIsTime ? new Date(x) : x;
+    }
+    
+    // Split wide rows ({ day, year1, year2, ... }) into one series per column. x values are
+    // stored as numbers (epoch ms for dates) so scales, lookups and comparisons stay numeric
+    createSeries(data) {
+        // Every column any row has, in first-seen order - an import's first row can leave a series blank
+        const keySet = new Set();
+        data.forEach(d => Object.keys(d).forEach(key => {
+            if (key !== 'day') keySet.add(key);
+        }));
+        
+        return Array.from(keySet).map((key, index) => ({
+            key: key,
+            index: index,
+            name: (typeof dataStory !== 'undefined' && dataStory[key]?.name) || key,
+            color: this.getSeriesColor(index),
+            rawData: data
+                .map(d => ({
+                    day: parseXValue(d.day),
+                    value: d[key]
+                }))
+                .filter(d => Number.isFinite(d.day) && Number.isFinite(d.value)) // Rows can omit a series
+                .sort((a, b) => a.day - b.day),
+            reveal: { progress: 0 }, // 0 → 1 across the chart width
+            fade: { opacity: 1 },    // Reduced-motion reveal fades the whole series in
+            motion: { scaleY: 1, y: 0 }, // Squash/stretch and jiggle, anchored at the baseline
+            currentClipX: 0,
+            curveIndex: null,
+            curveLookup: null,     // Curve samples every lookupStep pixels - read through lookupAt()
+            lookupStep: 1,
+            drawnShape: null,      // LTTB-thinned shape cache (see getDrawnShape)
+            path: null,            // SVG backend
+            fillGradient: null,
+            clipPath: null,
+            clipPathElement: null,
+            canvasLayer: null      // Canvas backend
+        }));
+    }
+    
+    // Seed each series' beats from dataStory unless they're already configured
+    populateNarrativeBeats() {
+        const { annotations } = this.animationParams;
+        annotations.beats = annotations.beats || {};
+        
+        this.series.forEach(series => {
+            const beats = annotations.beats[series.key] ||
+                (typeof dataStory !== 'undefined' && dataStory[series.key]?.narrativeBeats) || [];
+            annotations.beats[series.key] = beats.map(beat => this.normalizeBeat(beat));
+        });
+    }
+    
+    // Replace one series' beats and redraw the callouts
+    setBeats(seriesKey, beats) {
+        this.animationParams.annotations.beats[seriesKey] = beats.map(beat => this.normalizeBeat(beat));
+        this.annotations.render();
+    }
+    
+    // Beat days can be dates too - stored as numbers like the data
+    normalizeBeat(beat) {
+        return { ...beat, day: parseXValue(beat.day) };
+    }
+    
+    // A callout just appeared - the leading edge reached this beat
+    handleBeat(series, beat) {
+        console.log(`🎭 ${series.key} reached "${beat.moment}" at ${this.formatter.x(beat.day)}`);
+        this.emit('beat', { series: series.key, name: series.name, beat: beat });
+    }
+    
+    setupChart() {
+        console.log('📊 Setting up data-aware clipping chart...');
+        const profile = this.profiler.begin('setupChart');
+        
+        // Clear existing content
+        this.svg.selectAll("*").remove();
+        
+        const outerHeight = this.height + this.margin.top + this.margin.bottom;
+        
+        // Create main group
+        this.chartGroup = this.svg
+            .attr("width", this.width + this.margin.left + this.margin.right)
+            .attr("height", outerHeight)
+            .style("height", this.animationParams.sizing.responsive ? `${outerHeight}px` : null)
+            .style("color", this.theme.text)
+            .append("g")
+            .attr("transform", `translate(${this.margin.left},${this.margin.top})`);
+        
+        // Set up scales (shared by every series so they can be compared)
+        const domains = this.getDataDomains(this.series);
+        
+        this.xScale = (this.xIsTime ? d3.scaleTime() : d3.scaleLinear())
+            .domain(domains.x)
+            .range([0, this.width]);
+        
+        this.yScale = d3.scaleLinear()
+            .domain(domains.y)
+            .range([this.height, 0]);
+        
+        // Add axes
+        this.addAxes();
+        
+        this.defs = this.chartGroup.append("defs");
+        this.layersGroup = this.chartGroup.append("g").attr("class", "series-layers");
+        
+        this.setupBackend();
+        
+        this.series.forEach(series => this.createSeriesElements(series));
+        
+        this.effects.render();
+        this.annotations.render();
+        this.interaction.render();
+        this.addLegend();
+        this.accessibility.render();
+        
+        this.profiler.end(profile);
+        console.log(`✨ Chart ready with data-aware clipping for ${this.series.length} series`);
+    }
+    
+    getRenderer() {
+        return ChartRenderers[this.animationParams.renderer] || ChartRenderers.area;
+    }
+    
+    // Switch chart type, keeping every series' reveal where it is
+    setRenderer(name) {
+        if (!ChartRenderers[name]) {
+            console.warn(`⚠️ Unknown renderer "${name}" - keeping ${this.animationParams.renderer}`);
+            return;
+        }
+        
+        // Land any in-flight morph first so the new renderer starts from the final data
+        if (this.morphTween) {
+            this.morphTween.progress(1);
+        }
+        
+        const revealState = this.series.map(series => series.reveal.progress);
+        
+        this.animationParams.renderer = name;
+        this.setupChart();
+        
+        this.series.forEach((series, i) => {
+            series.reveal.progress = revealState[i];
+            this.applySeriesClip(series);
+            this.annotations.update(series, { animate: false });
+        });
+    }
+    
+    // Create the SVG or Canvas backend that series shapes are written to
+    setupBackend() {
+        let name = this.animationParams.backend;
+        
+        if (name === 'canvas' && !CanvasRenderBackend.isSupported()) {
+            console.warn('⚠️ Canvas 2D with Path2D unavailable - falling back to SVG rendering');
+            name = 'svg';
+        }
+        
+        if (this.backend) {
+            this.backend.destroy();
+        }
+        
+        const Backend = RenderBackends[name] || RenderBackends.svg;
+        this.backend = new Backend(this);
+        this.backend.setup();
+    }
+    
+    // Switch between SVG and Canvas rendering, keeping every series' reveal where it is
+    setBackend(name) {
+        if (!RenderBackends[name]) {
+            console.warn(`⚠️ Unknown backend "${name}" - keeping ${this.animationParams.backend}`);
+            return;
+        }
+        
+        if (this.morphTween) {
+            this.morphTween.progress(1);
+        }
+        
+        const revealState = this.series.map(series => series.reveal.progress);
+        
+        this.animationParams.backend = name;
+        this.setupChart();
+        
+        this.series.forEach((series, i) => {
+            series.reveal.progress = revealState[i];
+            this.applySeriesClip(series);
+            this.applySeriesMotion(series);
+            this.annotations.update(series, { animate: false });
+        });
+    }
+    
+    // Lay the series out with the current renderer and derive the scale domains
+    getDataDomains(seriesList) {
+        const renderer = this.getRenderer();
+        renderer.layout(this, seriesList);
+        return renderer.domains(this, seriesList);
+    }
+    
+    createSeriesElements(series) {
+        const renderer = this.getRenderer();
+        
+        // Create the series shape (fully drawn but clipped)
+        this.backend.createSeries(series, {
+            className: `area-path year-${series.index + 1} ${renderer.name}-series`,
+            strokeWidth: renderer.strokeWidth,
+            ...this.getSeriesStyle(series)
+        });
+        
+        // Generate the complete series path (D3 does the heavy lifting ONCE)
+        this.backend.setPath(series, renderer.path(this, series)); // Full path is ready immediately
+        
+        // CORE INNOVATION: Pre-compute curve lookup table
+        this.generateCurveLookup(series);
+        
+        // Reset clip position - the backend starts every series with an empty clip
+        series.reveal.progress = 0;
+        series.currentClipX = 0;
+    }
+    
+    addAxes() {
+        // Grid lines first, so they sit behind everything else
+        this.gridGroup = this.chartGroup.append("g")
+            .attr("class", "grid")
+            .style("pointer-events", "none");
+        
+        this.xAxisGroup = this.chartGroup.append("g")
+            .attr("class", "axis x-axis")
+            .attr("transform", `translate(0,${this.height})`);
+        
+        this.yAxisGroup = this.chartGroup.append("g")
+            .attr("class", "axis y-axis");
+        
+        this.updateAxes();
+    }
+    
+    // Redraw both axes from the current scales (called every frame while morphing)
+    updateAxes() {
+        const dayCount = d3.max(this.series, series => series.rawData.length) || 0;
+        
+        // X-axis - a time scale picks calendar intervals (days, months...) to fit the width
+        this.xAxisGroup.call(d3.axisBottom(this.xScale)
+            .ticks(this.xIsTime ? Math.max(2, Math.floor(this.width / 100)) : Math.min(dayCount, 15))
+            .tickFormat(d => this.formatter.xTick(d))
+        );
+        
+        // Y-axis
+        this.yAxisGroup.call(d3.axisLeft(this.yScale)
+            .tickFormat(d => this.formatter.axisValue(d))
+        );
+        
+        // Horizontal grid lines at the y ticks
+        this.gridGroup
+            .call(d3.axisLeft(this.yScale).tickSize(-this.width).tickFormat(""))
+            .call(grid => grid.select(".domain").remove());
+        
+        this.styleAxes();
+    }
+    
+    // d3 draws axes in currentColor - the theme sets lines, labels and grid explicitly
+    styleAxes() {
+        const { axis, grid } = this.theme;
+        
+        [this.xAxisGroup, this.yAxisGroup].forEach(group => {
+            group.selectAll("line, path").style("stroke", axis.line);
+            group.selectAll("text").style("fill", axis.text);
+        });
+        
+        this.gridGroup
+            .style("display", grid.enabled ? null : "none")
+            .selectAll("line")
+            .style("stroke", grid.color)
+            .style("stroke-opacity", grid.opacity);
+    }
+    
+    // Legend in the top-left corner of the plot, one swatch per series
+    addLegend() {
+        this.chartGroup.select(".chart-legend").remove();
+        
+        const legend = this.chartGroup.append("g")
+            .attr("class", "chart-legend")
+            .attr("transform", "translate(10, 0)");
+        
+        const items = legend.selectAll(".legend-item")
+            .data(this.series)
+            .enter()
+            .append("g")
+            .attr("class", d => `legend-item year-${d.index + 1}-legend`)
+            .attr("transform", (d, i) => `translate(0, ${i * 18})`);
+        
+        items.append("rect")
+            .attr("class", "legend-color")
+            .attr("width", 12)
+            .attr("height", 12)
+            .attr("rx", 2)
+            .style("fill", d => d.color.fill)
+            .style("stroke", d => d.color.stroke);
+        
+        items.append("text")
+            .attr("x", 18)
+            .attr("y", 10)
+            .style("font-size", "12px")
+            .style("fill", "currentColor")
+            .text(d => d.name);
+    }
+    
+    // CORE INNOVATION: Generate dense curve lookup table
+    generateCurveLookup(series) {
+        console.log(`🔍 Pre-computing curve lookup table for ${series.key}...`);
+        
+        this.profiler.measure('generateCurveLookup', () => this.sampleCurveLookup(series), 'setup', { series: series.key });
+        
+        const step = series.lookupStep;
+        console.log(`✨ Generated lookup table for ${series.curveLookup.length} ${step > 1 ? `samples (every ${step}px)` : 'pixels'}`);
+    }
+    
+    // Pixel positions the curve lookup samples: every quality.lookupStep pixels, and the right edge
+    getLookupPixels() {
+        const step = this.quality.lookupStep;
+        const lastPixel = Math.max(0, Math.floor(this.width));
+        
+        return Float64Array.from({ length: Math.ceil(lastPixel / step) + 1 }, (_, i) => Math.min(i * step, lastPixel));
+    }
+    
+    // Re-index the curve and resample the lookup from fromPixelX onwards - appendData() only
+    // rewrites the pixels its new points can affect, everything left of them stays as it was
+    sampleCurveLookup(series, fromPixelX = 0) {
+        // Index the exact curve the renderer draws (monotone cubic, steps, bar tops...)
+        series.curveIndex = this.getRenderer().curveIndex(this, series);
+        
+        const pixels = this.getLookupPixels();
+        const step = this.quality.lookupStep;
+        const reusable = series.curveLookup?.length === pixels.length && series.lookupStep === step;
+        const start = reusable ? Math.max(0, Math.min(pixels.length, Math.floor(fromPixelX / step))) : 0;
+        
+        // Convert every sampled pixel X back to the data domain (ascending, so one sweep evaluates them all)
+        const dataXs = new Float64Array(pixels.length - start);
+        for (let i = 0; i < dataXs.length; i++) {
+            dataXs[i] = this.xScale.invert(pixels[start + i]);
+        }
+        
+        const dataYs = series.curveIndex.sample(dataXs);
+        
+        if (start === 0) {
+            series.curveLookup = new Array(pixels.length);
+            series.lookupStep = step;
+        }
+        
+        for (let i = 0; i < dataXs.length; i++) {
+            series.curveLookup[start + i] = {
+                pixelX: pixels[start + i],
+                dataX: dataXs[i],
+                dataY: dataYs[i],
+                pixelY: this.yScale(dataYs[i]) // Convert back to pixel coordinates
+            };
+        }
+    }
+    
+    // The lookup at any pixel: exact on a sample, linear between the two around it
+    lookupAt(series, pixelX) {
+        const lookup = series.curveLookup;
+        if (!lookup?.length) return null;
+        
+        const index = Math.max(0, Math.min(lookup.length - 1, Math.floor(pixelX / (series.lookupStep || 1))));
+        const before = lookup[index];
+        const after = lookup[Math.min(index + 1, lookup.length - 1)];
+        const span = after.pixelX - before.pixelX;
+        const t = span > 0 ? Math.max(0, Math.min(1, (pixelX - before.pixelX) / span)) : 0;
+        
+        if (t === 0) return before;
+        if (t === 1) return after;
+        
+        return {
+            pixelX: pixelX,
+            dataX: before.dataX + (after.dataX - before.dataX) * t,
+            dataY: before.dataY + (after.dataY - before.dataY) * t,
+            pixelY: before.pixelY + (after.pixelY - before.pixelY) * t
+        };
+    }
+    
+    // Y value on a series' drawn curve at any X position (binary search, not a scan)
+    interpolateYAtX(targetX, series) {
+        return series.curveIndex.valueAt(targetX);
+    }
+    
+    // Generate data-aware clip path with leading edge shaping
+    generateDataAwareClipPath(currentX, series) {
+        if (currentX <= 0) {
+            return "M0,0 L0,0 L0,0 Z"; // Empty
+        }
+        
+        if (currentX >= this.width) {
+            // Full reveal - simple rectangle
+            return `M0,0 L${this.width},0 L${this.width},${this.height} L0,${this.height} Z`;
+        }
+        
+        // Get current data info
+        const currentData = this.lookupAt(series, Math.floor(currentX)) || { pixelY: this.height / 2 };
+        
+        // Look ahead a few pixels to preview the curve direction (no further than the performance level allows)
+        const lookAhead = Math.min(this.animationParams.curveSmoothing, this.quality.curveSmoothing);
+        const lookAheadX = Math.min(currentX + lookAhead, this.width - 1);
+        const lookAheadData = this.lookupAt(series, Math.floor(lookAheadX)) || currentData;
+        
+        // Calculate leading edge bulge based on data height and direction
+        const dataHeight = this.height - currentData.pixelY; // Height from bottom
+        const dataHeightRatio = dataHeight / this.height; // 0 to 1
+        const bulgeAmount = dataHeightRatio * this.animationParams.leadingEdgeBulge * 30; // Convert to pixels
+        
+        // Calculate curve direction (is data going up or down?)
+        const curveDirection = lookAheadData.pixelY - currentData.pixelY;
+        const directionBias = Math.sign(curveDirection) * 0.3; // Slight bias in curve direction
+        
+        // Create organic leading edge shape
+        const edgeControlX = currentX + bulgeAmount + 10; // How far the bulge extends
+        const edgeControlY1 = Math.max(0, currentData.pixelY - bulgeAmount + directionBias * 10);
+        const edgeControlY2 = Math.min(this.height, currentData.pixelY + bulgeAmount + directionBias * 5);
+        
+        // Generate smooth clip path with data-aware leading edge
+        const clipPath = `
+            M0,0
+            L${currentX},0
+            Q${edgeControlX},${edgeControlY1} ${currentX},${currentData.pixelY}
+            Q${edgeControlX},${edgeControlY2} ${currentX},${this.height}
+            L0,${this.height}
+            Z
+        `;
+        
+        return this.profiler.measure('clipPathCleanup', () => clipPath.replace(/\s+/g, ' ').trim());
+    }
+    
+    // Play forwards - resumes from the playhead when paused, scrubbed or reversing
+    play() {
+        if (this.isPlaying && !this.timeline?.reversed()) {
+            console.log('⚠️ Animation already playing');
+            return;
+        }
+        
+        this.killSettleEffect();
+        
+        if (this.timeline && this.timeline.progress() < 1) {
+            console.log('▶️ Resuming data-aware clipping from the playhead');
+            this.timeline.play();
+        } else {
+            console.log('🎬 Starting GSAP-powered data-aware clipping');
+            this.buildTimeline();
+            this.timeline.play();
+        }
+        
+        this.isPlaying = true;
+        this.emit('play');
+    }
+    
+    // Create a fresh (paused) timeline for every series' reveal
+    buildTimeline() {
+        const { playback, animationSpeed } = this.animationParams;
+        const profile = this.profiler.begin('buildTimeline');
+        
+        // Kill existing timeline
+        if (this.timeline) {
+            this.timeline.kill();
+        }
+        
+        // The timeline takes the edges back from appendData()
+        this.stopStreaming();
+        
+        // Durations are baked in at this speed; later rate changes go through timeScale
+        this.timelineSpeed = animationSpeed;
+        
+        // Create GSAP timeline for the clipping animation
+        this.timeline = gsap.timeline({
+            paused: true,
+            repeat: playback.mode === 'once' ? 0 : -1,
+            yoyo: playback.mode === 'yoyo',
+            onUpdate: () => this.emit('timeupdate', this.getPlaybackState()),
+            onRepeat: () => this.emit('loop', this.getPlaybackState()),
+            onComplete: () => {
+                if (!this.isPlaying) return; // Scrubbed to the end while stopped
+                
+                console.log('✨ GSAP clipping animation complete');
+                this.isPlaying = false;
+                this.addSettleEffect();
+                this.emit('complete', { reversed: false });
+            },
+            onReverseComplete: () => {
+                if (!this.isPlaying || !this.timeline.reversed()) return; // Scrubbed back, not reversing
+                
+                console.log('⏪ Data-aware clipping fully rewound');
+                this.isPlaying = false;
+                this.emit('complete', { reversed: true });
+            }
+        });
+        
+        // Start GSAP-powered clipping animation
+        this.startGSAPClippingAnimation();
+        
+        this.profiler.end(profile);
+        return this.timeline;
+    }
+    
+    startGSAPClippingAnimation() {
+        const params = this.animationParams;
+        const speed = params.animationSpeed;
+        const stagger = this.isReducedMotion() ? 0 : (params.timing.staggerDelay / 1000) / speed;
+        
+        console.log(`✂️ GSAP data-aware clipping of ${this.series.length} series over ${params.drawingDuration / speed}s at ${speed}x speed`);
+        
+        this.series.forEach(series => {
+            // Reset clipping state
+            series.reveal.progress = 0;
+            series.currentClipX = 0;
+            series.motion.scaleY = 1;
+            series.motion.y = 0;
+            this.applySeriesMotion(series);
+            
+            // Each series gets its own principle-driven timeline, revealed one after another
+            this.timeline.add(this.buildSeriesTimeline(series), series.index * stagger);
+        });
+    }
+    
+    // accessibility.reducedMotion, or the OS prefers-reduced-motion setting when 'auto'
+    isReducedMotion() {
+        const setting = this.animationParams.accessibility.reducedMotion;
+        return setting === 'auto' ? this.accessibility.prefersReducedMotion : !!setting;
+    }
+    
+    // Per-series animation personality, used when easing.adaptiveEasing is on
+    getSeriesPersonality(series) {
+        if (!this.animationParams.easing.adaptiveEasing) return null;
+        return (typeof dataStory !== 'undefined' && dataStory[series.key]?.animationPersonality) || null;
+    }
+    
+    getSeriesDuration(series) {
+        const { animationSpeed, drawingDuration, timing } = this.animationParams;
+        const personality = this.getSeriesPersonality(series);
+        
+        let duration = drawingDuration / animationSpeed;
+        
+        if (personality) {
+            duration /= personality.speed;
+        }
+        
+        // Accelerando: every later series arrives a little quicker
+        if (timing.accelerando) {
+            duration *= Math.pow(0.85, series.index);
+        }
+        
+        if (timing.organicVariation > 0) {
+            duration *= 1 + (this.seriesRandom(series, 'timing')() - 0.5) * timing.organicVariation;
+        }
+        
+        return Math.max(duration, 0.1);
+    }
+    
+    // Build anticipation → main action → squash / follow through / jiggle for one series
+    buildSeriesTimeline(series) {
+        if (this.isReducedMotion()) {
+            return this.buildReducedMotionTimeline(series);
+        }
+        
+        const params = this.animationParams;
+        const speed = params.animationSpeed;
+        const personality = this.getSeriesPersonality(series);
+        const duration = this.getSeriesDuration(series);
+        const ease = personality?.easing || params.easing.mainActionEase;
+        const { squashAndStretch, anticipation, followThrough, secondaryAction } = params;
+        
+        const seriesTimeline = gsap.timeline();
+        const revealUpdate = () => this.renderSeriesClip(series);
+        const motionUpdate = () => this.profiler.measure('motion', () => this.applySeriesMotion(series));
+        
+        // Anticipation: peek in, crouch down, hold, then leap
+        if (anticipation.enabled) {
+            const pullback = personality?.anticipation ?? anticipation.pullbackAmount;
+            const peek = (1 - pullback) * 0.25; // A sliver of the chart, proportional to the crouch
+            const crouchDuration = 0.12 / speed;
+            
+            seriesTimeline.to(series.reveal, {
+                progress: peek,
+                duration: crouchDuration,
+                ease: "power1.out",
+                onUpdate: revealUpdate
+            }, 0);
+            
+            seriesTimeline.to(series.motion, {
+                scaleY: pullback,
+                duration: crouchDuration,
+                ease: "power2.out",
+                onUpdate: motionUpdate
+            }, 0);
+            
+            seriesTimeline.addLabel("reveal", crouchDuration + anticipation.pauseDuration / speed);
+        } else {
+            seriesTimeline.addLabel("reveal", 0);
+        }
+        
+        // Main action - the data-aware clip sweeps across the chart (holding at dramatic beats)
+        const reveal = this.getDramaticReveal(series, ease, duration);
+        
+        seriesTimeline.to(series.reveal, {
+            progress: 1,
+            duration: reveal.duration,
+            ease: reveal.ease,
+            onUpdate: revealUpdate
+        }, "reveal");
+        
+        seriesTimeline.addLabel("land", `reveal+=${reveal.duration}`);
+        
+        // Stretch while leaping, relax back to rest before landing
+        if (squashAndStretch.enabled) {
+            const stretchDuration = Math.min(squashAndStretch.stretchDuration / speed, reveal.duration / 2);
+            
+            seriesTimeline.to(series.motion, {
+                scaleY: squashAndStretch.stretchAmount,
+                duration: stretchDuration,
+                ease: "power2.out",
+                onUpdate: motionUpdate
+            }, "reveal");
+            
+            seriesTimeline.to(series.motion, {
+                scaleY: 1,
+                duration: reveal.duration - stretchDuration,
+                ease: "sine.inOut",
+                onUpdate: motionUpdate
+            }, `reveal+=${stretchDuration}`);
+        } else if (anticipation.enabled) {
+            // Release the crouch as the reveal starts
+            seriesTimeline.to(series.motion, {
+                scaleY: 1,
+                duration: Math.min(0.2 / speed, duration),
+                ease: "power2.out",
+                onUpdate: motionUpdate
+            }, "reveal");
+        }
+        
+        // Landing: squash on impact, then overshoot and settle
+        if (squashAndStretch.enabled) {
+            const squashAmount = personality?.squash ?? squashAndStretch.squashAmount;
+            
+            seriesTimeline.to(series.motion, {
+                scaleY: squashAmount,
+                duration: squashAndStretch.squashDuration / speed / 2,
+                ease: "power2.out",
+                onUpdate: motionUpdate
+            }, "land");
+            
+            if (!followThrough.enabled) {
+                seriesTimeline.to(series.motion, {
+                    scaleY: 1,
+                    duration: squashAndStretch.squashDuration / speed / 2,
+                    ease: "power2.inOut",
+                    onUpdate: motionUpdate
+                });
+            }
+        }
+        
+        if (followThrough.enabled) {
+            const settleDuration = followThrough.settleDuration / speed;
+            
+            seriesTimeline.to(series.motion, {
+                scaleY: followThrough.overshootAmount,
+                duration: settleDuration * 0.4,
+                ease: "power2.out",
+                onUpdate: motionUpdate
+            }, squashAndStretch.enabled ? ">" : "land");
+            
+            seriesTimeline.to(series.motion, {
+                scaleY: 1,
+                duration: settleDuration * 0.6,
+                ease: "elastic.out(1, 0.5)",
+                onUpdate: motionUpdate
+            });
+        }
+        
+        // Secondary action: a vertical jiggle as the series lands
+        if (secondaryAction.enabled) {
+            let amplitude = 2 * (secondaryAction.jiggleIntensity ?? 1);
+            
+            if (secondaryAction.microVariations) {
+                amplitude = this.dataUtils.generateOrganicVariation(amplitude, 0.4, this.seriesRandom(series, 'jiggle'));
+            }
+            
+            const jiggle = gsap.timeline();
+            [-1, 0.6, -0.3, 0].forEach(factor => {
+                jiggle.to(series.motion, {
+                    y: amplitude * factor,
+                    duration: 0.06 / speed,
+                    ease: "sine.inOut",
+                    onUpdate: motionUpdate
+                });
+            });
+            
+            seriesTimeline.add(jiggle, "land");
+        }
+        
+        return seriesTimeline;
+    }
+    
+    // Reduced motion: no sweep, squash or jiggle - the whole series fades (or snaps) in
+    buildReducedMotionTimeline(series) {
+        const fade = this.animationParams.accessibility.reducedMotionReveal === 'fade';
+        const seriesTimeline = gsap.timeline();
+        
+        // Fully revealed from the first frame (and hidden again when scrubbed back to 0)
+        seriesTimeline.to(series.reveal, {
+            progress: 1,
+            duration: fade ? 0.4 : 0.01,
+            ease: t => (t > 0 ? 1 : 0),
+            onUpdate: () => this.renderSeriesClip(series)
+        }, 0);
+        
+        if (fade) {
+            seriesTimeline.fromTo(series.fade, { opacity: 0 }, {
+                opacity: 1,
+                duration: 0.4,
+                ease: "none",
+                onUpdate: () => this.backend.setOpacity(series, series.fade.opacity)
+            }, 0);
+        }
+        
+        return seriesTimeline;
+    }
+    
+    // timing.dramaticPauses: warp the reveal ease so the edge holds where it reaches each
+    // dramatic beat. Returns the ease and the reveal duration including the holds.
+    getDramaticReveal(series, ease, duration) {
+        const { timing, animationSpeed } = this.animationParams;
+        if (!timing.dramaticPauses) return { ease, duration };
+        
+        const baseEase = gsap.parseEase(ease) || (t => t);
+        const holdDuration = timing.dramaticPauseDuration / animationSpeed;
+        const maxHolds = Math.max((timing.maxSegments ?? 4) - 1, 0);
+        
+        // Base-timeline fraction at which the edge reaches each beat (a hold at either end is pointless)
+        const holds = this.annotations.beatsFor(series)
+            .filter(beat => this.dataUtils.isDramaticBeat(beat))
+            .map(beat => this.xScale(beat.day) / this.width)
+            .filter(progress => progress > 0.01 && progress < 0.99)
+            .sort((a, b) => a - b)
+            .slice(0, maxHolds)
+            .map(progress => this.findEaseTime(baseEase, progress));
+        
+        if (!holds.length || holdDuration <= 0) return { ease, duration };
+        
+        const totalDuration = duration + holds.length * holdDuration;
+        
+        const warpedEase = t => {
+            let time = t * totalDuration;
+            
+            for (const holdAt of holds) {
+                const start = holdAt * duration;
+                if (time <= start) break;
+                if (time <= start + holdDuration) {
+                    time = start;
+                    break;
+                }
+                time -= holdDuration;
+            }
+            
+            return baseEase(Math.min(time / duration, 1));
+        };
+        
+        return { ease: warpedEase, duration: totalDuration };
+    }
+    
+    // First time (0-1) at which an ease reaches a value - coarse scan, then bisect
+    findEaseTime(easeFn, value) {
+        const steps = 100;
+        let low = 0;
+        let high = 1;
+        
+        for (let i = 1; i <= steps; i++) {
+            if (easeFn(i / steps) >= value) {
+                low = (i - 1) / steps;
+                high = i / steps;
+                break;
+            }
+        }
+        
+        for (let i = 0; i < 20; i++) {
+            const mid = (low + high) / 2;
+            if (easeFn(mid) >= value) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        
+        return high;
+    }
+    
+    // Apply a series' motion state as a baseline-anchored transform
+    applySeriesMotion(series) {
+        const { scaleY, y } = series.motion;
+        
+        if (scaleY === 1 && y === 0) {
+            this.backend.setTransform(series, null);
+            return;
+        }
+        
+        // Keep the baseline fixed: y' = scaleY * y + height * (1 - scaleY)
+        const translateY = this.height * (1 - scaleY) + y;
+        this.backend.setTransform(series, { translateY, scaleY });
+    }
+    
+    // Apply a series' current reveal progress to its clip path - one reveal frame (the profiler's phases nest in it)
+    renderSeriesClip(series) {
+        const profile = this.profiler.begin('revealFrame', 'frame', { series: series.key });
+        
+        this.applySeriesClip(series);
+        this.currentClipX = series.currentClipX;
+        this.profiler.measure('annotations', () => this.annotations.update(series));
+        
+        // Add leading edge effects
+        this.updateLeadingEdgeEffects(series.reveal.progress, series);
+        
+        if (this.listeners.progress?.length) {
+            const entry = this.lookupAt(series, Math.round(series.currentClipX));
+            
+            this.profiler.measure('progressListeners', () => this.emit('progress', {
+                series: series.key,
+                progress: series.reveal.progress,
+                currentClipX: series.currentClipX,
+                day: entry ? entry.dataX : null,
+                value: entry ? entry.dataY : null // Data value under the leading edge
+            }));
+        }
+        
+        this.profiler.end(profile);
+    }
+    
+    applySeriesClip(series) {
+        series.currentClipX = series.reveal.progress * this.width;
         
-        const settleTimeline = gsap.timeline();
+        // Generate and apply data-aware clip path
+        const clipPathData = this.profiler.measure('generateDataAwareClipPath',
+            () => this.generateDataAwareClipPath(series.currentClipX, series));
+        this.profiler.measure('setClip', () => this.backend.setClip(series, clipPathData));
         
-        // Subtle vertical settle
-        settleTimeline.to(this.mainPath.node(), {
-            y: -2,
-            duration: 0.08,
-            ease: "power2.out"
-        });
+        // Renderers can reveal further on top of the clip (bars grow as the edge passes)
+        const renderer = this.getRenderer();
+        if (renderer.applyReveal && !this.morphTween) {
+            this.profiler.measure('applyReveal', () => renderer.applyReveal(this, series));
+        }
+    }
+    
+    updateLeadingEdgeEffects(progress, series) {
+        if (this.isReducedMotion()) return;
         
-        settleTimeline.to(this.mainPath.node(), {
-            y: 1,
-            duration: 0.12,
-            ease: "bounce.out"
-        });
+        // Subtle stroke width pulse at leading edge, on timeline time so exported frames repeat exactly
+        const time = this.timeline ? this.timeline.time() : 0;
+        const basePulse = 1 + Math.sin(time * 8) * 0.2;
+        const progressPulse = Math.sin(progress * Math.PI) * 0.3;
+        const strokeWidth = this.getRenderer().strokeWidth + (basePulse + progressPulse);
         
-        settleTimeline.to(this.mainPath.node(), {
-            y: 0,
-            duration: 0.08,
-            ease: "power2.inOut"
-        });
+        this.profiler.measure('setStrokeWidth', () => this.backend.setStrokeWidth(series, strokeWidth));
+        this.profiler.measure('effects', () => this.effects.update(series));
+    }
+    
+    // Ambient breathing once everything has landed (secondaryAction.breathingEffect)
+    addSettleEffect() {
+        const { secondaryAction } = this.animationParams;
+        if (!secondaryAction.enabled || !secondaryAction.breathingEffect || this.isReducedMotion()) return;
+        
+        console.log('🍮 Adding GSAP breathing after data-aware reveal');
         
-        // Gentle breathing
-        settleTimeline.to(this.mainPath.node(), {
-            scaleY: 1.002,
-            duration: 3,
-            ease: "sine.inOut",
-            yoyo: true,
-            repeat: 2,
-            transformOrigin: "center bottom"
+        this.settleTweens = this.series.map(series => {
+            return gsap.to(series.motion, {
+                scaleY: 1.002 + 0.002 * (secondaryAction.jiggleIntensity ?? 1),
+                duration: 3,
+                ease: "sine.inOut",
+                yoyo: true,
+                repeat: 3,
+                onUpdate: () => this.applySeriesMotion(series)
+            });
         });
     }
     
-    // Enhanced GSAP animation control methods
+    // Stop the breathing before the reveal moves again
+    killSettleEffect() {
+        (this.settleTweens || []).forEach(tween => tween.progress(0).kill());
+        this.settleTweens = [];
+    }
+    
+    // Transport: pause, resume, reverse, scrub and step the timeline
     pause() {
         if (this.timeline) {
             this.timeline.pause();
+            this.isPlaying = false;
+            this.emit('pause', this.getPlaybackState());
         }
     }
     
     resume() {
-        if (this.timeline) {
+        if (this.timeline && this.timeline.paused()) {
+            this.killSettleEffect();
             this.timeline.resume();
+            this.isPlaying = true;
+            this.emit('resume', this.getPlaybackState());
+        }
+    }
+    
+    togglePlayback() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
         }
     }
     
-    // Jump to specific progress (great for scrubbing!)
+    // Play backwards from the playhead, un-revealing each series
+    reverse() {
+        if (!this.timeline || this.timeline.progress() === 0) return;
+        
+        this.killSettleEffect();
+        this.timeline.reverse();
+        this.isPlaying = true;
+        this.emit('reverse', this.getPlaybackState());
+    }
+    
+    // Jump to specific progress (great for scrubbing!) - a stopped timeline stays stopped
     seekToProgress(progress) {
-        if (this.timeline) {
-            this.timeline.progress(progress);
+        if (!this.timeline) {
+            this.buildTimeline();
         }
-    }// databutter - Data-Aware Clipping Animation Engine
-// GPU-accelerated clipping with Y-aware leading edge shaping
-
-class ButteryAnimationEngine {
-    constructor(data, svgSelector, params = {}) {
-        this.animationParams = {
-            animationSpeed: 1.0,
-            drawingDuration: 2.0,
-            leadingEdgeBulge: 0.15, // How much the leading edge bulges (15% of data height)
-            curveSmoothing: 8 // How many pixels ahead to look for curve preview
-        };
         
-        // Focus on year 1 only for now
-        this.rawData = data.map(d => ({
-            day: d.day,
-            value: d.year1
-        }));
+        this.killSettleEffect();
         
-        this.svg = d3.select(svgSelector);
-        this.timeline = null;
-        this.isPlaying = false;
+        if (!this.isPlaying) {
+            this.timeline.pause();
+        }
         
-        // Chart dimensions
-        this.margin = { top: 20, right: 30, bottom: 40, left: 60 };
-        this.width = 1000 - this.margin.left - this.margin.right;
-        this.height = 400 - this.margin.top - this.margin.bottom;
+        this.timeline.progress(Math.max(0, Math.min(1, progress)));
+        this.emit('seek', this.getPlaybackState());
+    }
+    
+    // Render the reveal frame by frame via seekToProgress - resolves to a Blob.
+    // format: 'svg' (animated, self-contained), 'png' (zip of frames) or 'gif'
+    exportAnimation({ fps = 30, format = 'svg', ...options } = {}) {
+        return this.exporter.exportAnimation({ fps, format, ...options });
+    }
+    
+    // Pause and move the playhead by whole frames (negative steps go back)
+    stepFrame(frames = 1) {
+        if (!this.timeline) {
+            this.buildTimeline();
+        }
         
-        // Data-aware clipping state
-        this.curveLookup = null; // Pre-computed Y values for every X pixel
-        this.clipPath = null;
-        this.clipRect = null;
-        this.currentClipX = 0;
+        this.pause();
+        this.killSettleEffect();
         
-        this.setupChart();
+        const time = this.timeline.time() + frames / STEP_FRAME_RATE;
+        this.timeline.time(Math.max(0, Math.min(this.timeline.duration(), time)));
+        this.emit('seek', this.getPlaybackState());
+    }
+    
+    // once, loop or yoyo - applied to the running timeline too
+    setPlaybackMode(mode) {
+        if (!PLAYBACK_MODES.includes(mode)) {
+            console.warn(`⚠️ Unknown playback mode "${mode}" - keeping ${this.animationParams.playback.mode}`);
+            return;
+        }
         
-        console.log('🎨 Data-Aware Clipping Engine ready - Y-responsive leading edge');
+        this.setParameter('playback.mode', mode);
     }
     
-    setupChart() {
-        console.log('📊 Setting up data-aware clipping chart...');
+    // Live playback rate - the same knob as animationSpeed
+    setPlaybackRate(rate) {
+        if (!(rate > 0)) return;
+        this.setParameter('animationSpeed', rate);
+    }
+    
+    getPlaybackState() {
+        const timeline = this.timeline;
         
-        // Clear existing content
-        this.svg.selectAll("*").remove();
+        return {
+            progress: timeline ? timeline.progress() : 0,
+            time: timeline ? timeline.time() : 0,
+            duration: timeline ? timeline.duration() : 0,
+            isPlaying: this.isPlaying,
+            reversed: timeline ? timeline.reversed() : false,
+            rate: this.animationParams.animationSpeed,
+            mode: this.animationParams.playback.mode
+        };
+    }
+    
+    reset() {
+        console.log('🔄 Resetting GSAP data-aware clipping...');
         
-        // Create main group
-        this.chartGroup = this.svg
-            .attr("width", this.width + this.margin.left + this.margin.right)
-            .attr("height", this.height + this.margin.top + this.margin.bottom)
-            .append("g")
-            .attr("transform", `translate(${this.margin.left},${this.margin.top})`);
+        if (this.timeline) {
+            this.timeline.kill();
+            this.timeline = null;
+        }
         
-        // Set up scales
-        this.xScale = d3.scaleLinear()
-            .domain(d3.extent(this.rawData, d => d.day))
-            .range([0, this.width]);
+        this.stopStreaming();
         
-        const maxValue = d3.max(this.rawData, d => d.value);
-        this.yScale = d3.scaleLinear()
-            .domain([0, maxValue * 1.1])
-            .range([this.height, 0]);
+        this.settleTweens = [];
         
-        // Add axes
-        this.addAxes();
+        this.series.forEach(series => {
+            // Reset clip to empty
+            this.backend.setClip(series, EMPTY_CLIP);
+            
+            // Reset series path transforms
+            gsap.killTweensOf(series.motion);
+            series.motion.scaleY = 1;
+            series.motion.y = 0;
+            this.backend.setTransform(series, null);
+            this.backend.setStrokeWidth(series, this.getRenderer().strokeWidth);
+            gsap.killTweensOf(series.fade);
+            series.fade.opacity = 1;
+            this.backend.setOpacity(series, 1);
+            
+            series.reveal.progress = 0;
+            series.currentClipX = 0;
+        });
+        
+        this.effects.clear();
+        this.annotations.hideAll();
+        this.currentClipX = 0;
+        this.isPlaying = false;
+        this.emit('reset');
+    }
+    
+    // Wobble that is the same on every replay for a given seed, and independent between series
+    seriesRandom(series, purpose) {
+        return SeededRandom.createStream(`${purpose}-${series.key}`);
+    }
+    
+    // New data from a seed (a fresh one by default) - the same seed always gives the same data
+    randomizeData(seed = SeededRandom.newSeed()) {
+        SeededRandom.setSeed(seed);
+        const random = SeededRandom.createStream('data');
         
-        // Create area generator with smooth curve
-        this.areaGenerator = d3.area()
-            .x(d => this.xScale(d.day))
-            .y0(this.height)
-            .y1(d => this.yScale(d.value))
-            .curve(d3.curveMonotoneX); // D3's smooth interpolation
-        
-        // Generate the complete area path (D3 does the heavy lifting ONCE)
-        const fullPathData = this.areaGenerator(this.rawData);
-        
-        // Create the main path (fully drawn but clipped)
-        this.mainPath = this.chartGroup
-            .append("path")
-            .attr("class", "area-path year-1")
-            .style("fill", "#e74c3c")
-            .style("stroke", "#c0392b")
-            .style("stroke-width", "2px")
-            .style("fill-opacity", 0.7)
-            .attr("d", fullPathData); // Full path is ready immediately
+        console.log(`🎲 Generating new data for data-aware clipping (seed ${SeededRandom.seed})...`);
         
-        // CORE INNOVATION: Pre-compute curve lookup table
-        this.generateCurveLookup();
+        // Generate new data for every series around the base dataset, then morph to it
+        const rowsByDay = new Map();
+        
+        this.series.forEach(series => {
+            this.baseData.forEach(row => {
+                const value = row[series.key];
+                if (value === null || value === undefined) return;
+                
+                const day = parseXValue(row.day);
+                if (!rowsByDay.has(day)) {
+                    rowsByDay.set(day, { day: this.toXValue(day) });
+                }
+                rowsByDay.get(day)[series.key] = Math.round(value * (0.8 + random() * 0.4));
+            });
+        });
         
-        // Set up clipping system
-        this.setupDataAwareClipping();
+        const newData = Array.from(rowsByDay.values());
         
-        console.log('✨ Chart ready with data-aware clipping system');
+        this.updateData(newData, { seed: SeededRandom.seed });
     }
     
-    addAxes() {
-        // X-axis
-        this.chartGroup.append("g")
-            .attr("class", "axis x-axis")
-            .attr("transform", `translate(0,${this.height})`)
-            .call(d3.axisBottom(this.xScale)
-                .ticks(Math.min(this.rawData.length, 15))
-                .tickFormat(d => `Day ${d}`)
-            );
+    // Smoothly morph paths, scales and axes to a new dataset (wide rows, like sampleData)
+    updateData(newData, options = {}) {
+        this.dataSeed = options.seed ?? null;
+        if (this.dataSeed === null) {
+            this.baseData = newData;
+        }
         
-        // Y-axis  
-        this.chartGroup.append("g")
-            .attr("class", "axis y-axis")
-            .call(d3.axisLeft(this.yScale)
-                .tickFormat(d3.format(".2s"))
-            );
-    }
-    
-    // CORE INNOVATION: Generate dense curve lookup table
-    generateCurveLookup() {
-        console.log('🔍 Pre-computing curve lookup table...');
+        const duration = options.duration ?? (this.isReducedMotion() ? 0 : 0.8);
+        const ease = options.ease || "power2.inOut";
+        const renderer = this.getRenderer();
+        
+        // Interrupted mid-morph: carry on from whatever is on screen right now
+        if (this.morphTween) {
+            this.morphTween.kill();
+            this.morphTween = null;
+            this.series.forEach(series => {
+                series.curveIndex = new MonotoneCurveIndex(series.curveLookup, d => d.dataX, d => d.dataY);
+            });
+        }
+        
+        this.stopStreaming();
+        
+        // Days and dates don't share an axis to morph along - rebuild on the new scale instead
+        const xIsTime = this.detectTimeX(newData);
+        if (xIsTime !== this.xIsTime) {
+            this.rebuildWithData(newData, xIsTime);
+            return;
+        }
+        
+        const incoming = this.createSeries(newData);
+        
+        // Callouts and edge effects sit on the old curves - hide them until the morph lands
+        this.effects.clear();
+        this.annotations.hideAll();
+        
+        const existingKeys = new Set(this.series.map(series => series.key));
+        const revealProgress = d3.max(this.series, series => series.reveal.progress) || 0;
+        
+        // New series join at the end, rising from the baseline, already revealed as far as the rest
+        incoming
+            .filter(target => !existingKeys.has(target.key))
+            .forEach(target => {
+                const placeholder = { ...target, rawData: [], index: this.series.length };
+                placeholder.color = this.getSeriesColor(placeholder.index);
+                
+                this.series.push(placeholder);
+                renderer.layout(this, [placeholder]);
+                this.createSeriesElements(placeholder);
+                placeholder.reveal.progress = revealProgress;
+            });
+        
+        // Lay out the target data in on-screen order; series missing from it sink to the baseline
+        const targets = this.series
+            .map(series => incoming.find(candidate => candidate.key === series.key))
+            .filter(Boolean);
+        const toDomains = this.getDataDomains(targets);
+        const emptyCurve = new MonotoneCurveIndex([]); // Evaluates to 0 everywhere
+        
+        const transitions = this.series.map(series => {
+            const target = targets.find(candidate => candidate.key === series.key);
+            series.nextShape = target ? target.shape : null;
+            
+            return {
+                series: series,
+                from: series.curveIndex,
+                to: target ? renderer.curveIndex(this, target) : emptyCurve,
+                rawData: target ? target.rawData : null
+            };
+        });
+        
+        const fromDomains = { x: this.xScale.domain(), y: this.yScale.domain() };
+        const interpolateX = d3.interpolate(fromDomains.x, toDomains.x);
+        const interpolateY = d3.interpolate(fromDomains.y, toDomains.y);
         
-        this.curveLookup = [];
+        const state = { t: 0 };
         
-        // Sample Y values at every pixel across the chart width
-        for (let pixelX = 0; pixelX <= this.width; pixelX++) {
-            // Convert pixel X back to data domain
-            const dataX = this.xScale.invert(pixelX);
+        const renderFrame = () => {
+            this.xScale.domain(interpolateX(state.t));
+            this.yScale.domain(interpolateY(state.t));
+            this.updateAxes();
             
-            // Interpolate Y value at this X position
-            const dataY = this.interpolateYAtX(dataX);
+            transitions.forEach(transition => this.renderMorphFrame(transition, state.t));
+        };
+        
+        const finish = () => {
+            this.morphTween = null;
+            this.xScale.domain(toDomains.x);
+            this.yScale.domain(toDomains.y);
+            
+            transitions.forEach(({ series, rawData }) => {
+                series.nextShape = null;
+                
+                if (!rawData) {
+                    // Series no longer in the data - drop its elements
+                    this.backend.removeSeries(series);
+                    this.series = this.series.filter(candidate => candidate !== series);
+                    return;
+                }
+                
+                series.rawData = rawData;
+            });
             
-            // Convert back to pixel coordinates
-            const pixelY = this.yScale(dataY);
+            // Swap the resampled morph paths for the exact curves
+            renderer.layout(this, this.series);
+            this.series.forEach(series => {
+                this.backend.setPath(series, renderer.path(this, series));
+                this.generateCurveLookup(series);
+                this.applySeriesClip(series);
+            });
             
-            this.curveLookup[pixelX] = {
-                dataX: dataX,
-                dataY: dataY,
-                pixelY: pixelY
-            };
+            this.dataUtils.setData(newData);
+            this.populateNarrativeBeats();
+            this.updateFormatter();
+            this.effects.render();
+            this.annotations.render();
+            this.updateAxes();
+            this.addLegend();
+            
+            console.log(`✨ Data morph complete (${this.series.length} series)`);
+            this.emit('dataChanged', { series: this.series.map(series => series.key), seed: this.dataSeed });
+        };
+        
+        console.log(`🔀 Morphing ${transitions.length} series to new data over ${duration}s`);
+        
+        if (duration <= 0) {
+            finish();
+            return;
         }
         
-        console.log(`✨ Generated lookup table for ${this.curveLookup.length} pixels`);
+        this.morphTween = gsap.to(state, {
+            t: 1,
+            duration: duration,
+            ease: ease,
+            onUpdate: renderFrame,
+            onComplete: finish
+        });
     }
     
-    // Interpolate Y value at any X position using our raw data
-    interpolateYAtX(targetX) {
-        // Find the two data points that bracket our target X
-        let lowerIndex = -1;
-        let upperIndex = -1;
+    // Swap in data with a different x type, keeping the reveal as far along as it was
+    rebuildWithData(newData, xIsTime) {
+        const revealProgress = d3.max(this.series, series => series.reveal.progress) || 0;
         
-        for (let i = 0; i < this.rawData.length - 1; i++) {
-            if (this.rawData[i].day <= targetX && this.rawData[i + 1].day >= targetX) {
-                lowerIndex = i;
-                upperIndex = i + 1;
-                break;
-            }
-        }
+        console.log(`📅 Switching to a ${xIsTime ? 'time' : 'linear'} x axis`);
         
-        // Handle edge cases
-        if (lowerIndex === -1) {
-            if (targetX <= this.rawData[0].day) return this.rawData[0].value;
-            if (targetX >= this.rawData[this.rawData.length - 1].day) return this.rawData[this.rawData.length - 1].value;
+        // The timeline animates the old series objects
+        if (this.timeline) {
+            this.timeline.kill();
+            this.timeline = null;
+        }
+        if (this.isPlaying) {
+            this.isPlaying = false;
+            this.emit('pause', this.getPlaybackState());
         }
         
-        // Linear interpolation between the two points
-        const lowerPoint = this.rawData[lowerIndex];
-        const upperPoint = this.rawData[upperIndex];
-        const fraction = (targetX - lowerPoint.day) / (upperPoint.day - lowerPoint.day);
+        this.xIsTime = xIsTime;
+        this.series = this.createSeries(newData);
+        this.dataUtils.setData(newData);
+        this.populateNarrativeBeats();
+        this.updateFormatter();
+        this.setupChart();
+        
+        this.series.forEach(series => {
+            series.reveal.progress = revealProgress;
+            this.applySeriesClip(series);
+            this.annotations.update(series, { animate: false });
+        });
         
-        return lowerPoint.value + (upperPoint.value - lowerPoint.value) * fraction;
+        this.emit('dataChanged', { series: this.series.map(series => series.key), seed: this.dataSeed });
     }
     
-    // Set up the data-aware clipping system
-    setupDataAwareClipping() {
-        console.log('✂️ Setting up data-aware clipping...');
+    // One morph frame: blend old and new curves at every lookup sample, in data space
+    renderMorphFrame({ series, from, to }, t) {
+        const profile = this.profiler.begin('morphFrame', 'frame', { series: series.key });
+        const pixels = this.getLookupPixels();
+        const dataXs = pixels.map(pixelX => this.xScale.invert(pixelX));
         
-        // Create clip path definition
-        const clipId = "data-aware-clip-" + Date.now();
-        const defs = this.chartGroup.append("defs");
+        const fromYs = from.sample(dataXs);
+        const toYs = to.sample(dataXs);
         
-        this.clipPath = defs.append("clipPath")
-            .attr("id", clipId);
+        series.curveLookup = new Array(dataXs.length);
+        series.lookupStep = this.quality.lookupStep;
+        for (let i = 0; i < dataXs.length; i++) {
+            const dataY = fromYs[i] + (toYs[i] - fromYs[i]) * t;
+            series.curveLookup[i] = {
+                pixelX: pixels[i],
+                dataX: dataXs[i],
+                dataY: dataY,
+                pixelY: this.yScale(dataY)
+            };
+        }
         
-        // Start with an empty clip path
-        this.clipPathElement = this.clipPath.append("path")
-            .attr("d", "M0,0 L0,0 L0,0 Z"); // Empty path
+        // The lookup doubles as the path, so the clip edge and the shape stay in step
+        this.profiler.measure('setPath', () => this.backend.setPath(series, this.getRenderer().morphPath(this, series)));
+        this.applySeriesClip(series);
+        this.profiler.end(profile);
+    }
+    
+    // Live mode: add rows ({ day, <series>: value }) to the end of the chart without a rebuild.
+    // The x domain grows (or slides, with streaming.window), y eases to fit, the curve lookup is
+    // resampled only where the new points land, and every leading edge advances to "now"
+    appendData(points) {
+        const incoming = (Array.isArray(points) ? points : [points]).filter(Boolean);
+        const matching = incoming.filter(row => this.matchesXType(row.day));
         
-        // Apply clipping to the main path
-        this.mainPath.attr("clip-path", `url(#${clipId})`);
+        const mismatched = incoming.length - matching.length;
+        if (mismatched) {
+            console.warn(`⚠️ Skipped ${mismatched} streamed row${mismatched === 1 ? '' : 's'} with ${this.xIsTime ? 'a numeric x on a time' : 'a date x on a numeric'} axis`);
+        }
         
-        // Reset clip position
-        this.currentClipX = 0;
+        const rows = matching
+            .map(row => ({ ...row, day: parseXValue(row.day) }))
+            .filter(row => Number.isFinite(row.day))
+            .sort((a, b) => a.day - b.day);
+        if (!rows.length) return;
         
-        console.log('✨ Data-aware clipping system ready');
-    }
-    
-    // Generate data-aware clip path with leading edge shaping
-    generateDataAwareClipPath(currentX) {
-        if (currentX <= 0) {
-            return "M0,0 L0,0 L0,0 Z"; // Empty
+        // Land any in-flight morph, then take the edges over from the timeline
+        if (this.morphTween) {
+            this.morphTween.progress(1);
         }
+        this.startStreaming();
         
-        if (currentX >= this.width) {
-            // Full reveal - simple rectangle
-            return `M0,0 L${this.width},0 L${this.width},${this.height} L0,${this.height} Z`;
+        const renderer = this.getRenderer();
+        const previousShapes = new Map(this.series.map(series => [series, series.shape || []]));
+        const existingCount = this.series.length;
+        const touched = new Set();
+        let skipped = 0;
+        
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (key === 'day' || !Number.isFinite(row[key])) return;
+                
+                const series = this.series.find(candidate => candidate.key === key) || this.addStreamSeries(key, row.day);
+                const last = series.rawData[series.rawData.length - 1];
+                
+                if (!last || row.day > last.day) {
+                    series.rawData.push({ day: row.day, value: row[key] });
+                } else if (row.day === last.day) {
+                    last.value = row[key]; // The newest bucket was revised
+                } else {
+                    skipped++;
+                    return;
+                }
+                
+                touched.add(series);
+            });
+        });
+        
+        if (skipped) {
+            console.warn(`⚠️ Skipped ${skipped} streamed value${skipped === 1 ? '' : 's'} older than their series' newest point`);
         }
+        if (!touched.size) return;
         
-        // Get current data info
-        const currentData = this.curveLookup[Math.floor(currentX)] || { pixelY: this.height / 2 };
+        const now = d3.max(this.series, series => series.rawData[series.rawData.length - 1]?.day);
+        const x = this.getStreamXDomain(now);
         
-        // Look ahead a few pixels to preview the curve direction
-        const lookAheadX = Math.min(currentX + this.animationParams.curveSmoothing, this.width - 1);
-        const lookAheadData = this.curveLookup[Math.floor(lookAheadX)] || currentData;
+        // A sliding window forgets what has scrolled off - one point short of the edge so the curve still enters from it
+        if (this.animationParams.streaming.window > 0) {
+            this.series.forEach(series => {
+                const firstVisible = series.rawData.findIndex(d => d.day >= x[0]);
+                if (firstVisible > 1) {
+                    series.rawData = series.rawData.slice(firstVisible - 1);
+                }
+            });
+        }
         
-        // Calculate leading edge bulge based on data height and direction
-        const dataHeight = this.height - currentData.pixelY; // Height from bottom
-        const dataHeightRatio = dataHeight / this.height; // 0 to 1
-        const bulgeAmount = dataHeightRatio * this.animationParams.leadingEdgeBulge * 30; // Convert to pixels
+        renderer.layout(this, this.series);
+        const y = renderer.domains(this, this.series).y;
         
-        // Calculate curve direction (is data going up or down?)
-        const curveDirection = lookAheadData.pixelY - currentData.pixelY;
-        const directionBias = Math.sign(curveDirection) * 0.3; // Slight bias in curve direction
+        this.series.slice(existingCount).forEach(series => this.createSeriesElements(series));
+        if (this.series.length > existingCount) {
+            this.populateNarrativeBeats();
+            this.effects.render();
+            this.addLegend();
+        }
         
-        // Create organic leading edge shape
-        const edgeControlX = currentX + bulgeAmount + 10; // How far the bulge extends
-        const edgeControlY1 = Math.max(0, currentData.pixelY - bulgeAmount + directionBias * 10);
-        const edgeControlY2 = Math.min(this.height, currentData.pixelY + bulgeAmount + directionBias * 5);
+        const current = this.streamTween ? this.streamDomains : { x: this.xScale.domain(), y: this.yScale.domain() };
+        const sameDomain = (a, b) => Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
         
-        // Generate smooth clip path with data-aware leading edge
-        const clipPath = `
-            M0,0 
-            L${currentX},0
-            Q${edgeControlX},${edgeControlY1} ${currentX},${currentData.pixelY}
-            Q${edgeControlX},${edgeControlY2} ${currentX},${this.height}
-            L0,${this.height} 
-            Z
-        `.replace(/\s+/g, ' ').trim();
+        if (!sameDomain(x, current.x) || !sameDomain(y, current.y)) {
+            this.rescaleStream({ x, y });
+        } else if (!this.streamTween) {
+            // Same scales: only the pixels from the first changed point on need resampling -
+            // unless the series is thinned, where one more point can move every bucket
+            this.series.forEach(series => {
+                const fromDay = this.firstChangedDay(previousShapes.get(series) || [], series.shape);
+                if (fromDay === null) return;
+                
+                const thinned = renderer.drawnShape(this, series) !== series.shape;
+                this.backend.setPath(series, renderer.path(this, series));
+                this.sampleCurveLookup(series, thinned ? 0 : this.xScale(fromDay));
+            });
+            this.updateAxes();
+        }
+        
+        touched.forEach(series => this.advanceStreamEdge(series));
+        this.dataUtils.setData(this.getDataRows());
         
-        return clipPath;
+        // The first point off midnight brings times of day into tooltips and summaries
+        if (this.xIsTime && !this.formatter.options.includeTime && rows.some(row => +d3.timeDay(new Date(row.day)) !== row.day)) {
+            this.updateFormatter();
+        }
+        
+        this.emit('dataAppended', {
+            rows: rows.length,
+            series: Array.from(touched, series => series.key),
+            now: now,
+            domains: { x, y }
+        });
     }
     
-    play() {
-        if (this.isPlaying) {
-            console.log('⚠️ Animation already playing');
-            return;
-        }
+    // Hand each series' edge from the timeline to appendData(), keeping it where it is on screen
+    startStreaming() {
+        if (this.isStreaming) return;
         
-        console.log('🎬 Starting GSAP-powered data-aware clipping');
-        this.isPlaying = true;
-        this.setPlayButtonState(true);
+        const wasPlaying = this.isPlaying;
         
-        // Kill existing timeline
         if (this.timeline) {
             this.timeline.kill();
+            this.timeline = null;
         }
+        this.killSettleEffect();
+        this.isPlaying = false;
         
-        // Create GSAP timeline for the clipping animation
-        this.timeline = gsap.timeline({
-            onComplete: () => {
-                console.log('✨ GSAP clipping animation complete');
-                this.isPlaying = false;
-                this.setPlayButtonState(false);
-                this.addSettleEffect();
-            }
+        this.series.forEach(series => {
+            gsap.killTweensOf(series.motion);
+            series.motion.scaleY = 1;
+            series.motion.y = 0;
+            this.applySeriesMotion(series);
+            
+            gsap.killTweensOf(series.fade);
+            series.fade.opacity = 1;
+            this.backend.setOpacity(series, 1);
+            
+            // The edge is tracked in data units so it stays on its day while the scales move
+            series.streamEdge = { day: +this.xScale.invert(series.reveal.progress * this.width) };
         });
         
-        // Start GSAP-powered clipping animation
-        this.startGSAPClippingAnimation();
+        this.isStreaming = true;
+        console.log('📡 Streaming - appendData() now drives the leading edges');
+        
+        if (wasPlaying) {
+            this.emit('pause', this.getPlaybackState());
+        }
     }
     
-    startGSAPClippingAnimation() {
-        const speed = this.animationParams.animationSpeed;
-        const duration = this.animationParams.drawingDuration / speed;
+    // Back to timeline playback (play, reset or a full data update)
+    stopStreaming() {
+        if (!this.isStreaming) return;
         
-        console.log(`✂️ GSAP data-aware clipping over ${duration}s at ${speed}x speed`);
+        if (this.streamTween) {
+            this.streamTween.kill();
+            this.streamTween = null;
+        }
+        this.series.forEach(series => gsap.killTweensOf(series.streamEdge));
+        this.isStreaming = false;
+    }
+    
+    // A series first seen in the stream joins at the end, its edge starting at its first point
+    addStreamSeries(key, day) {
+        const [series] = this.createSeries([{ [key]: null }]);
         
-        // Reset clipping state
-        this.currentClipX = 0;
+        series.index = this.series.length;
+        series.color = this.getSeriesColor(series.index);
+        series.streamEdge = { day };
+        this.series.push(series);
         
-        // GSAP animates a progress value from 0 to 1
-        // We use onUpdate to generate the clip path at each frame
-        this.timeline.to({ progress: 0 }, {
-            progress: 1,
-            duration: duration,
-            ease: "power2.inOut", // Much easier easing control with GSAP!
-            onUpdate: () => {
-                // Get current progress and convert to X position
-                const progress = this.timeline.progress();
-                this.currentClipX = progress * this.width;
-                
-                // Generate and apply data-aware clip path
-                const clipPathData = this.generateDataAwareClipPath(this.currentClipX);
-                this.clipPathElement.attr("d", clipPathData);
-                
-                // Add leading edge effects
-                this.updateLeadingEdgeEffects(progress);
-            }
-        });
+        return series;
     }
     
-    updateLeadingEdgeEffects(progress) {
-        // Subtle stroke width pulse at leading edge using GSAP timing
-        const basePulse = 1 + Math.sin(Date.now() * 0.008) * 0.2;
-        const progressPulse = Math.sin(progress * Math.PI) * 0.3;
-        const strokeWidth = 2 + (basePulse + progressPulse);
+    // Keep the x domain while "now" still fits; otherwise grow it (or slide the window) with
+    // headroom ahead, so only every few points pay for a full rescale
+    getStreamXDomain(now) {
+        const { window: span, headroom } = this.animationParams.streaming;
+        const [start, end] = this.xScale.domain();
+        
+        if (span > 0) {
+            const width = span * (1 + headroom);
+            return now <= end && Math.abs(end - start - width) < 1e-9 ? [start, end] : [now - span, now - span + width];
+        }
+        
+        const first = d3.min(this.series, series => series.rawData[0]?.day);
+        if (now <= end && first >= start) return [start, end];
         
-        this.mainPath.style("stroke-width", `${strokeWidth}px`);
+        return [first, now + (now - first || 1) * headroom];
     }
     
-    reset() {
-        console.log('🔄 Resetting GSAP data-aware clipping...');
-        
-        if (this.timeline) {
-            this.timeline.kill();
+    // First day whose laid-out point moved since the last layout, backed off two points because
+    // monotone tangents reach that far - null when the shape is unchanged
+    firstChangedDay(previous, shape) {
+        let i = 0;
+        while (i < shape.length && previous[i] && previous[i].day === shape[i].day &&
+            previous[i].y0 === shape[i].y0 && previous[i].y1 === shape[i].y1) {
+            i++;
         }
         
-        // Reset clip to empty
-        if (this.clipPathElement) {
-            this.clipPathElement.attr("d", "M0,0 L0,0 L0,0 Z");
+        if (i === shape.length && previous.length === shape.length) return null;
+        return shape.length ? shape[Math.max(0, Math.min(i, shape.length - 1) - 2)].day : null;
+    }
+    
+    // Ease the scales to new domains, redrawing every series from its data each frame
+    rescaleStream(domains) {
+        if (this.streamTween) {
+            this.streamTween.kill();
+            this.streamTween = null;
         }
         
-        // Reset main path transforms
-        this.mainPath
-            .attr("transform", null)
-            .style("stroke-width", "2px");
+        this.streamDomains = domains;
         
-        this.currentClipX = 0;
-        this.isPlaying = false;
-        this.setPlayButtonState(false);
+        const interpolateX = d3.interpolate(this.xScale.domain(), domains.x);
+        const interpolateY = d3.interpolate(this.yScale.domain(), domains.y);
+        const state = { t: 0 };
+        
+        const renderFrame = () => {
+            this.xScale.domain(interpolateX(state.t));
+            this.yScale.domain(interpolateY(state.t));
+            this.updateAxes();
+            
+            const renderer = this.getRenderer();
+            this.series.forEach(series => {
+                this.backend.setPath(series, renderer.path(this, series));
+                this.sampleCurveLookup(series);
+                this.renderStreamEdge(series);
+            });
+        };
+        
+        const finish = () => {
+            this.streamTween = null;
+            this.annotations.render();
+        };
+        
+        const duration = this.isReducedMotion() ? 0 : this.animationParams.streaming.rescaleDuration;
+        
+        if (duration <= 0) {
+            state.t = 1;
+            renderFrame();
+            finish();
+            return;
+        }
+        
+        this.streamTween = gsap.to(state, {
+            t: 1,
+            duration: duration,
+            ease: "power2.out",
+            onUpdate: renderFrame,
+            onComplete: finish
+        });
     }
     
-    randomizeData() {
-        console.log('🎲 Generating new data for data-aware clipping...');
+    // Move a series' edge up to its newest point
+    advanceStreamEdge(series) {
+        const day = series.rawData[series.rawData.length - 1].day;
+        const duration = this.isReducedMotion() ? 0 : this.animationParams.streaming.advanceDuration;
         
-        // Generate new data
-        this.rawData = sampleData.map(d => ({
-            day: d.day,
-            value: Math.round(d.year1 * (0.8 + Math.random() * 0.4))
-        }));
+        gsap.killTweensOf(series.streamEdge);
         
-        this.setupChart();
+        if (duration <= 0) {
+            series.streamEdge.day = day;
+            this.renderStreamEdge(series);
+            return;
+        }
+        
+        gsap.to(series.streamEdge, {
+            day: day,
+            duration: duration,
+            ease: "power1.out",
+            onUpdate: () => this.renderStreamEdge(series)
+        });
     }
     
-    setPlayButtonState(disabled) {
-        const playBtn = document.getElementById('playBtn');
-        if (playBtn) {
-            playBtn.disabled = disabled;
-        }
+    // Put a series' clip edge on its streamed day under the current scales
+    renderStreamEdge(series) {
+        series.reveal.progress = Math.max(0, Math.min(1, this.xScale(series.streamEdge.day) / this.width));
+        this.renderSeriesClip(series);
+    }
+    
+    // Wide rows ({ day, <series>: value }) for the data on the chart now - days are Dates on a time axis
+    getDataRows() {
+        const rowsByDay = new Map();
+        
+        this.series.forEach(series => {
+            series.rawData.forEach(d => {
+                if (!rowsByDay.has(d.day)) {
+                    rowsByDay.set(d.day, { day: this.toXValue(d.day) });
+                }
+                rowsByDay.get(d.day)[series.key] = d.value;
+            });
+        });
+        
+        return Array.from(rowsByDay.values()).sort((a, b) => a.day - b.day);
     }
     
     // Diagnostic method to visualize curve lookup
     debugCurveLookup() {
-        console.log('🔬 Curve lookup sample:', this.curveLookup.slice(0, 10));
-        
-        // Optional: Add visual debugging
-        this.curveLookup.forEach((point, x) => {
-            if (x % 20 === 0) { // Every 20 pixels
-                this.chartGroup.append("circle")
-                    .attr("cx", x)
-                    .attr("cy", point.pixelY)
-                    .attr("r", 1)
-                    .style("fill", "yellow")
-                    .style("opacity", 0.5);
-            }
+        this.series.forEach(series => {
+            console.log(`🔬 Curve lookup sample (${series.key}):`, series.curveLookup.slice(0, 10));
+            
+            // Optional: Add visual debugging
+            series.curveLookup.forEach(point => {
+                if (point.pixelX % 20 === 0) { // Every 20 pixels
+                    this.chartGroup.append("circle")
+                        .attr("cx", point.pixelX)
+                        .attr("cy", point.pixelY)
+                        .attr("r", 1)
+                        .style("fill", "yellow")
+                        .style("opacity", 0.5);
+                }
+            });
         });
     }
 }
@@ -1,14 +1,19 @@
 // databutter - Main Application
 // Orchestrates the buttery animation framework with performance monitoring
 
-// Application state
+// Application state - one entry per chart, so several can share the page
 const AppState = {
-    animationEngine: null,
+    charts: new Map(),      // engine id → { engine, currentPreset, isAnimating }
+    activeChartId: null,    // The chart the control panel, transport bar and shortcuts act on
     debugMode: false,
-    currentPreset: 'custom',
-    isAnimating: false
+    transportControls: null
 };
 
+// The chart the page controls currently drive (null until one exists)
+function getActiveChart() {
+    return AppState.charts.get(AppState.activeChartId) || null;
+}
+
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🧈 databutter initializing...');
@@ -18,8 +23,8 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
     }
     
-    // Initialize the buttery animation engine
-    initializeAnimationEngine();
+    // One buttery animation engine per chart on the page
+    initializeCharts();
     
     // Set up global event handlers
     setupGlobalEventHandlers();
@@ -33,7 +38,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Auto-play after a short delay
     setTimeout(() => {
         console.log('🎬 Auto-playing initial buttery animation...');
-        AppState.animationEngine.play();
+        AppState.charts.forEach(chart => chart.engine.play());
     }, 1000);
     
     console.log('✨ databutter ready for buttery magic!');
@@ -58,48 +63,159 @@ function validateDependencies() {
     return true;
 }
 
-function initializeAnimationEngine() {
+// Every .chart-svg on the page gets its own engine; the first one starts out active
+function initializeCharts() {
+    document.querySelectorAll('.chart-svg').forEach(svg => createChart(svg));
+    
+    if (!AppState.charts.size) {
+        showError('No chart found on the page (expected an <svg class="chart-svg">).');
+    }
+}
+
+function createChart(svg) {
     try {
-        // Create the buttery animation engine with performance constraints
-        AppState.animationEngine = new ButteryAnimationEngine(sampleData, '#chartSvg', {
-            // Start with dramatic preset for impressive first impression
+        // Start with dramatic preset for impressive first impression
+        const engine = new ButteryAnimationEngine(sampleData, svg, {
             ...AnimationPresets['dramatic-presentation']
         });
         
-        // Make it globally accessible for debugging
-        window.animationEngine = AppState.animationEngine;
+        const chart = { engine, currentPreset: 'dramatic-presentation', isAnimating: false };
+        AppState.charts.set(engine.id, chart);
+        bindEngineEvents(chart);
+        
+        // Clicking or tabbing into a chart hands it the page controls
+        if (engine.container) {
+            engine.container.addEventListener('pointerdown', () => setActiveChart(engine.id));
+            engine.container.addEventListener('focusin', () => setActiveChart(engine.id));
+        }
         
-        console.log('🎭 Buttery Animation Engine initialized');
+        if (!AppState.activeChartId) {
+            AppState.activeChartId = engine.id;
+            window.animationEngine = engine; // Console access for debugging
+        }
+        
+        console.log(`🎭 Buttery Animation Engine initialized: ${engine.id}`);
+        return chart;
         
     } catch (error) {
         console.error('❌ Failed to initialize animation engine:', error);
         showError('Failed to initialize animation engine. Check console for details.');
+        return null;
+    }
+}
+
+// Point the control panel, transport bar and shortcuts at another chart
+function setActiveChart(id) {
+    const chart = AppState.charts.get(id);
+    if (!chart || (id === AppState.activeChartId && AppState.transportControls)) return;
+    
+    AppState.activeChartId = id;
+    window.animationEngine = chart.engine;
+    
+    // Mark which chart the controls drive - only worth showing with more than one
+    AppState.charts.forEach((other, otherId) => {
+        other.engine.container?.classList.toggle('active-chart', AppState.charts.size > 1 && otherId === id);
+    });
+    
+    // The page has one transport bar - it follows the active chart
+    if (AppState.transportControls) {
+        AppState.transportControls.destroy();
+    }
+    AppState.transportControls = new TransportControls(chart.engine, {
+        scrubber: document.getElementById('scrubber'),
+        playPauseButton: document.getElementById('playPauseBtn'),
+        stepBackButton: document.getElementById('stepBackBtn'),
+        stepForwardButton: document.getElementById('stepForwardBtn'),
+        reverseButton: document.getElementById('reverseBtn'),
+        modeSelect: document.getElementById('playbackMode'),
+        rateInput: document.getElementById('animationSpeed'),
+        timeDisplay: document.getElementById('transportTime')
+    });
+    
+    // Show this chart's settings in the controls
+    const presetSelect = document.getElementById('presetSelect');
+    if (presetSelect) {
+        presetSelect.value = chart.currentPreset;
+    }
+    
+    const playBtn = document.getElementById('playBtn');
+    if (playBtn) {
+        playBtn.disabled = chart.isAnimating;
+    }
+    
+    updateControlsFromParameters();
+    applyPageTheme(chart.engine.theme);
+    
+    if (AppState.debugMode) {
+        updateDebugInfo();
     }
 }
 
+// The engine only reports what it's doing - its chart state and the page UI follow its events
+function bindEngineEvents(chart) {
+    const { engine } = chart;
+    const isActive = () => AppState.activeChartId === engine.id;
+    
+    const setAnimating = animating => {
+        chart.isAnimating = animating;
+        
+        const playBtn = document.getElementById('playBtn');
+        if (playBtn && isActive()) {
+            playBtn.disabled = animating;
+        }
+    };
+    
+    engine.on('play', () => setAnimating(true));
+    engine.on('resume', () => setAnimating(true));
+    engine.on('reverse', () => setAnimating(true));
+    engine.on('pause', () => setAnimating(false));
+    engine.on('reset', () => setAnimating(false));
+    
+    engine.on('complete', () => {
+        setAnimating(false);
+        if (isActive()) {
+            showStatus('✨ Animation complete', 2000);
+        }
+    });
+    
+    // Beats from every chart reach the status line, labelled when there's more than one
+    engine.on('beat', ({ name, beat }) => {
+        if (engine.isExporting) return; // Replayed by an export, not reached on screen
+        
+        const label = AppState.charts.size > 1 ? `[${engine.id}] ` : '';
+        showStatus(`🎭 ${label}${name}: ${beat.moment.replace(/-/g, ' ')} (${engine.formatter.x(beat.day)})`, 2000);
+    });
+    
+    engine.on('dataChanged', () => {
+        if (AppState.debugMode && isActive()) {
+            updateDebugInfo();
+        }
+    });
+    
+    // The page chrome wears the active chart's theme, including 'auto' following the OS setting
+    if (isActive()) {
+        applyPageTheme(engine.theme);
+    }
+    engine.on('themeChanged', ({ theme }) => {
+        if (isActive()) {
+            applyPageTheme(theme);
+        }
+    });
+}
+
 function setupGlobalEventHandlers() {
     // Keyboard shortcuts
     document.addEventListener('keydown', function(e) {
+        const chart = getActiveChart();
+        if (!chart) return;
+        
         // Prevent shortcuts during animation to avoid conflicts
-        if (AppState.isAnimating && e.code !== 'Escape') {
+        if (chart.isAnimating && e.code !== 'Escape') {
             return;
         }
         
+        // Space, R, arrows and the rest of the transport keys live in TransportControls
         switch (e.code) {
-            case 'Space':
-                e.preventDefault();
-                if (AppState.animationEngine.isPlaying) {
-                    AppState.animationEngine.reset();
-                } else {
-                    AppState.animationEngine.play();
-                }
-                break;
-                
-            case 'KeyR':
-                e.preventDefault();
-                AppState.animationEngine.reset();
-                break;
-                
             case 'KeyD':
                 if (e.ctrlKey || e.metaKey) {
                     e.preventDefault();
@@ -110,35 +226,28 @@ function setupGlobalEventHandlers() {
             case 'KeyN':
                 if (e.ctrlKey || e.metaKey) {
                     e.preventDefault();
-                    AppState.animationEngine.randomizeData();
+                    chart.engine.randomizeData();
                 }
                 break;
                 
             case 'Escape':
-                if (AppState.animationEngine.isPlaying) {
+                if (chart.engine.isPlaying) {
                     e.preventDefault();
-                    AppState.animationEngine.reset();
+                    chart.engine.reset();
                 }
                 break;
         }
     });
     
-    // Window resize handler
-    let resizeTimeout;
-    window.addEventListener('resize', function() {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-            if (AppState.animationEngine) {
-                AppState.animationEngine.setupChart();
-            }
-        }, 300);
-    });
-    
-    // Page visibility change (pause when tab hidden)
+    // Page visibility change (pause every chart when the tab is hidden)
     document.addEventListener('visibilitychange', function() {
-        if (document.hidden && AppState.animationEngine.isPlaying) {
-            AppState.animationEngine.reset();
-        }
+        if (!document.hidden) return;
+        
+        AppState.charts.forEach(({ engine }) => {
+            if (engine.isPlaying) {
+                engine.reset();
+            }
+        });
     });
 }
 
@@ -146,10 +255,24 @@ function initializeUI() {
     // Set up preset selector
     const presetSelect = document.getElementById('presetSelect');
     if (presetSelect) {
-        presetSelect.value = 'dramatic-presentation';
-        AppState.currentPreset = 'dramatic-presentation';
+        presetSelect.addEventListener('change', () => applyPreset(presetSelect.value));
+    }
+    
+    // Theme switches ease the colors across without restarting the reveal - one look for the whole page
+    const themeSelect = document.getElementById('themeSelect');
+    if (themeSelect) {
+        const theme = getActiveChart()?.engine.animationParams.theme;
+        themeSelect.value = typeof theme === 'string' ? theme : 'auto';
+        themeSelect.addEventListener('change', () => {
+            AppState.charts.forEach(({ engine }) => engine.setTheme(themeSelect.value));
+        });
     }
     
+    // Scrub bar, step / reverse / loop buttons, transport shortcuts and the principle
+    // controls all follow the active chart
+    bindParameterControls();
+    setActiveChart(AppState.activeChartId);
+    
     // Update data story display
     updateDataStoryDisplay();
     
@@ -217,7 +340,7 @@ function updatePerformanceModeDisplay(level) {
     performanceMode.style.color = mode.color;
     
     // Update status if not currently animating
-    if (!AppState.isAnimating) {
+    if (!getActiveChart()?.isAnimating) {
         const statusEl = document.getElementById('status');
         if (statusEl) {
             statusEl.textContent = mode.status;
@@ -225,66 +348,86 @@ function updatePerformanceModeDisplay(level) {
     }
 }
 
+// Form controls bound to engine parameter paths
+const PARAMETER_CONTROLS = [
+    // Squash & Stretch
+    { id: 'squashEnabled', path: 'squashAndStretch.enabled', type: 'checkbox' },
+    { id: 'squashAmount', path: 'squashAndStretch.squashAmount', type: 'range' },
+    { id: 'stretchAmount', path: 'squashAndStretch.stretchAmount', type: 'range' },
+    { id: 'squashDuration', path: 'squashAndStretch.squashDuration', type: 'range' },
+    
+    // Anticipation
+    { id: 'anticipationEnabled', path: 'anticipation.enabled', type: 'checkbox' },
+    { id: 'pullbackAmount', path: 'anticipation.pullbackAmount', type: 'range' },
+    { id: 'pauseDuration', path: 'anticipation.pauseDuration', type: 'range' },
+    
+    // Follow Through
+    { id: 'followThroughEnabled', path: 'followThrough.enabled', type: 'checkbox' },
+    { id: 'overshootAmount', path: 'followThrough.overshootAmount', type: 'range' },
+    { id: 'settleDuration', path: 'followThrough.settleDuration', type: 'range' },
+    
+    // Easing
+    { id: 'mainEase', path: 'easing.mainActionEase', type: 'select' },
+    { id: 'adaptiveEasing', path: 'easing.adaptiveEasing', type: 'checkbox' },
+    
+    // Secondary Action
+    { id: 'secondaryActionEnabled', path: 'secondaryAction.enabled', type: 'checkbox' },
+    { id: 'jiggleIntensity', path: 'secondaryAction.jiggleIntensity', type: 'range' },
+    { id: 'organicVariation', path: 'secondaryAction.microVariations', type: 'checkbox' },
+    
+    // Timing
+    { id: 'baseDuration', path: 'timing.baseDuration', type: 'range' },
+    { id: 'staggerDelay', path: 'timing.staggerDelay', type: 'range' },
+    { id: 'accelerando', path: 'timing.accelerando', type: 'checkbox' },
+    { id: 'timingVariation', path: 'timing.organicVariation', type: 'range' },
+    { id: 'dramaticPauses', path: 'timing.dramaticPauses', type: 'checkbox' },
+    { id: 'maxSegments', path: 'timing.maxSegments', type: 'range' },
+    
+    // Sonification
+    { id: 'soundEnabled', path: 'sonification.enabled', type: 'checkbox' },
+    { id: 'soundMuted', path: 'sonification.muted', type: 'checkbox' },
+    { id: 'soundVolume', path: 'sonification.volume', type: 'range' },
+    { id: 'soundScale', path: 'sonification.scale', type: 'select' }
+];
 
+// Preset Management - presets apply to one chart (the active one unless told otherwise)
+function applyPreset(presetName, chart = getActiveChart()) {
+    const preset = AnimationPresets[presetName];
+    if (!preset || !chart) return;
     
-    // Update UI controls to reflect preset values
-    updateControlsFromParameters();
+    console.log(`🎭 Applying preset to ${chart.engine.id}: ${preset.name}`);
+    
+    // Push the preset into the engine - the next timeline is built from it
+    chart.engine.applyPreset(preset);
+    
+    // Replay so the difference is visible straight away
+    chart.engine.reset();
+    chart.engine.play();
     
     // Update current preset
-    AppState.currentPreset = presetName;
+    chart.currentPreset = presetName;
+    
+    // Update UI controls to reflect preset values
+    if (chart === getActiveChart()) {
+        updateControlsFromParameters();
+    }
     
     // Show feedback
     showStatus(`✨ Applied preset: ${preset.name}`, 3000);
 }
 
 function updateControlsFromParameters() {
-    if (!AppState.animationEngine) return;
-    
-    const params = AppState.animationEngine.animationParams;
+    const engine = getActiveChart()?.engine;
+    if (!engine) return;
     
     // Update all form controls based on current parameters
-    const controlUpdates = [
-        // Squash & Stretch
-        { id: 'squashEnabled', path: 'squashAndStretch.enabled', type: 'checkbox' },
-        { id: 'squashAmount', path: 'squashAndStretch.squashAmount', type: 'range' },
-        { id: 'stretchAmount', path: 'squashAndStretch.stretchAmount', type: 'range' },
-        { id: 'squashDuration', path: 'squashAndStretch.squashDuration', type: 'range' },
-        
-        // Anticipation
-        { id: 'anticipationEnabled', path: 'anticipation.enabled', type: 'checkbox' },
-        { id: 'pullbackAmount', path: 'anticipation.pullbackAmount', type: 'range' },
-        { id: 'pauseDuration', path: 'anticipation.pauseDuration', type: 'range' },
-        
-        // Follow Through
-        { id: 'followThroughEnabled', path: 'followThrough.enabled', type: 'checkbox' },
-        { id: 'overshootAmount', path: 'followThrough.overshootAmount', type: 'range' },
-        { id: 'settleDuration', path: 'followThrough.settleDuration', type: 'range' },
-        
-        // Easing
-        { id: 'mainEase', path: 'easing.mainActionEase', type: 'select' },
-        { id: 'adaptiveEasing', path: 'easing.adaptiveEasing', type: 'checkbox' },
-        
-        // Secondary Action
-        { id: 'secondaryActionEnabled', path: 'secondaryAction.enabled', type: 'checkbox' },
-        { id: 'jiggleIntensity', path: 'secondaryAction.jiggleIntensity', type: 'range' },
-        { id: 'organicVariation', path: 'secondaryAction.microVariations', type: 'checkbox' },
-        
-        // Timing
-        { id: 'baseDuration', path: 'timing.baseDuration', type: 'range' },
-        { id: 'staggerDelay', path: 'timing.staggerDelay', type: 'range' },
-        { id: 'accelerando', path: 'timing.accelerando', type: 'checkbox' },
-        { id: 'timingVariation', path: 'timing.organicVariation', type: 'range' },
-        { id: 'dramaticPauses', path: 'timing.dramaticPauses', type: 'checkbox' },
-        { id: 'maxSegments', path: 'timing.maxSegments', type: 'range' }
-    ];
-    
-    controlUpdates.forEach(({ id, path, type }) => {
+    PARAMETER_CONTROLS.forEach(({ id, path, type }) => {
         const element = document.getElementById(id);
         const valueDisplay = document.getElementById(id + 'Value');
         
         if (!element) return;
         
-        const value = AppState.animationEngine.getParameter(path);
+        const value = engine.getParameter(path);
         
         if (type === 'checkbox') {
             element.checked = value;
@@ -294,11 +437,75 @@ function updateControlsFromParameters() {
         
         // Update value display
         if (valueDisplay && type === 'range') {
-            AppState.animationEngine.updateValueDisplay(valueDisplay, value, type);
+            engine.updateValueDisplay(valueDisplay, value, type);
         }
     });
 }
 
+// Push control edits into the active chart's engine; any manual tweak makes its preset 'custom'
+function bindParameterControls() {
+    PARAMETER_CONTROLS.forEach(({ id, path, type }) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        
+        const eventName = type === 'range' ? 'input' : 'change';
+        element.addEventListener(eventName, () => {
+            const chart = getActiveChart();
+            if (!chart) return;
+            
+            let value = element.value;
+            if (type === 'checkbox') {
+                value = element.checked;
+            } else if (type === 'range') {
+                value = parseFloat(element.value);
+            }
+            
+            chart.engine.setParameter(path, value);
+            
+            const valueDisplay = document.getElementById(id + 'Value');
+            if (valueDisplay) {
+                chart.engine.updateValueDisplay(valueDisplay, value, type);
+            }
+            
+            chart.currentPreset = 'custom';
+            const presetSelect = document.getElementById('presetSelect');
+            if (presetSelect) {
+                presetSelect.value = 'custom';
+            }
+        });
+    });
+}
+
+// Offline render of the audio track - no speakers needed to check it
+async function exportSonification() {
+    const engine = getActiveChart()?.engine;
+    if (!engine) return;
+    
+    try {
+        showStatus('🎧 Rendering audio...', 2000);
+        await engine.sonifier.downloadWav(`databutter-sonification-${new Date().toISOString().split('T')[0]}.wav`);
+        showStatus('🎧 Audio exported successfully', 2000);
+    } catch (error) {
+        console.error('❌ Failed to render audio:', error);
+        showError(`Failed to render audio: ${error.message}`);
+    }
+}
+
+// Frame-by-frame export for slide decks - the same file every time
+async function exportAnimationFile(format = 'svg') {
+    const engine = getActiveChart()?.engine;
+    if (!engine) return;
+    
+    try {
+        showStatus('🎞️ Exporting animation...', 2000);
+        await engine.exporter.download({ fps: 30, format });
+        showStatus('🎞️ Animation exported successfully', 2000);
+    } catch (error) {
+        console.error('❌ Failed to export animation:', error);
+        showError(`Failed to export animation: ${error.message}`);
+    }
+}
+
 // Debug Mode
 function toggleDebugMode() {
     AppState.debugMode = !AppState.debugMode;
@@ -314,6 +521,15 @@ function toggleDebugMode() {
         debugBtn.textContent = AppState.debugMode ? '🔧 Debug: ON' : '🔧 Debug Mode';
     }
     
+    // Every chart records frame phases while the panel is open
+    AppState.charts.forEach(({ engine }) => {
+        if (AppState.debugMode) {
+            engine.startProfiling();
+        } else {
+            engine.stopProfiling();
+        }
+    });
+    
     if (AppState.debugMode) {
         updateDebugInfo();
         console.log('🔧 Debug mode enabled');
@@ -322,6 +538,20 @@ function toggleDebugMode() {
     }
 }
 
+// Save the active chart's frame profile as a Chrome trace (chrome://tracing, Perfetto)
+function exportProfile() {
+    const engine = getActiveChart()?.engine;
+    if (!engine) return;
+    
+    if (!engine.profiler.events.length) {
+        showStatus('⏱️ Nothing recorded yet - turn on debug mode and play the animation', 3000);
+        return;
+    }
+    
+    engine.exportProfile(`databutter-trace-${engine.id}-${new Date().toISOString().split('T')[0]}.json`);
+    showStatus('⏱️ Trace exported', 2000);
+}
+
 function updateDebugInfo() {
     if (!AppState.debugMode) return;
     
@@ -332,25 +562,40 @@ function updateDebugInfo() {
         performanceMetrics.textContent = JSON.stringify(metrics, null, 2);
     }
     
+    const chart = getActiveChart();
+    if (!chart) return;
+    
+    const engine = chart.engine;
+    
+    // Frame phases, slowest first
+    const frameProfile = document.getElementById('frameProfile');
+    if (frameProfile) {
+        frameProfile.textContent = JSON.stringify(engine.profiler.getSummary(), null, 2);
+    }
+    
     // Animation parameters
     const animationParameters = document.getElementById('animationParameters');
-    if (animationParameters && AppState.animationEngine) {
+    if (animationParameters) {
         const params = {
-            isPlaying: AppState.animationEngine.isPlaying,
-            currentPreset: AppState.currentPreset,
-            animationParams: AppState.animationEngine.animationParams
+            chart: engine.id,
+            charts: Array.from(AppState.charts.keys()),
+            isPlaying: engine.isPlaying,
+            currentPreset: chart.currentPreset,
+            seed: SeededRandom.seed,
+            seededData: engine.dataSeed !== null,
+            animationParams: engine.animationParams
         };
         animationParameters.textContent = JSON.stringify(params, null, 2);
     }
     
     // Timeline debug
     const timelineDebug = document.getElementById('timelineDebug');
-    if (timelineDebug && AppState.animationEngine.timeline) {
+    if (timelineDebug && engine.timeline) {
         const timelineInfo = {
-            duration: AppState.animationEngine.timeline.duration(),
-            progress: AppState.animationEngine.timeline.progress(),
-            isActive: AppState.animationEngine.timeline.isActive(),
-            totalProgress: AppState.animationEngine.timeline.totalProgress()
+            duration: engine.timeline.duration(),
+            progress: engine.timeline.progress(),
+            isActive: engine.timeline.isActive(),
+            totalProgress: engine.timeline.totalProgress()
         };
         timelineDebug.textContent = JSON.stringify(timelineInfo, null, 2);
     }
@@ -358,13 +603,16 @@ function updateDebugInfo() {
 
 // Settings Import/Export
 function exportSettings() {
-    if (!AppState.animationEngine) return;
+    const chart = getActiveChart();
+    if (!chart) return;
     
     const settings = {
         version: '2.0',
         timestamp: new Date().toISOString(),
-        preset: AppState.currentPreset,
-        parameters: AppState.animationEngine.animationParams,
+        preset: chart.currentPreset,
+        seed: SeededRandom.seed,
+        seededData: chart.engine.dataSeed !== null, // Data was generated from the seed
+        parameters: chart.engine.animationParams,
         metadata: {
             userAgent: navigator.userAgent,
             performanceLevel: window.performanceMonitor?.performanceLevel || 'unknown'
@@ -384,10 +632,13 @@ function exportSettings() {
     showStatus('📁 Settings exported successfully', 2000);
 }
 
+// Settings files load into the active chart
 function importSettings(event) {
     const file = event.target.files[0];
-    if (!file) return;
+    const chart = getActiveChart();
+    if (!file || !chart) return;
     
+    const engine = chart.engine;
     const reader = new FileReader();
     reader.onload = function(e) {
         try {
@@ -398,17 +649,29 @@ function importSettings(event) {
             }
             
             // Apply imported parameters
-            AppState.animationEngine.animationParams = AppState.animationEngine.deepMerge(
-                AppState.animationEngine.animationParams,
+            engine.animationParams = engine.deepMerge(
+                engine.animationParams,
                 settings.parameters
             );
             
+            // Imported narrative beats replace the current callouts
+            engine.annotations.render();
+            
+            // Same seed, same wobble - and the same data if it was generated from it
+            if (settings.seed !== undefined) {
+                if (settings.seededData) {
+                    engine.randomizeData(settings.seed);
+                } else {
+                    SeededRandom.setSeed(settings.seed);
+                }
+            }
+            
             // Update preset selector
             const presetSelect = document.getElementById('presetSelect');
             if (presetSelect) {
                 presetSelect.value = settings.preset || 'custom';
-                AppState.currentPreset = settings.preset || 'custom';
             }
+            chart.currentPreset = settings.preset || 'custom';
             
             // Update controls
             updateControlsFromParameters();
@@ -472,12 +735,12 @@ window.addEventListener('error', function(e) {
 if (navigator.userAgent.includes('Mobile')) {
     setTimeout(() => {
         console.log('📱 Mobile device detected - optimizing for performance');
-        if (window.performanceMonitor && AppState.animationEngine) {
-            // Apply mobile-optimized settings
-            AppState.animationEngine.animationParams.timing.maxSegments = 2;
-            AppState.animationEngine.animationParams.secondaryAction.jiggleIntensity = 0.5;
-            AppState.animationEngine.animationParams.timing.organicVariation = 0.1;
-        }
+        // Apply mobile-optimized settings to every chart
+        AppState.charts.forEach(({ engine }) => {
+            engine.animationParams.timing.maxSegments = 2;
+            engine.animationParams.secondaryAction.jiggleIntensity = 0.5;
+            engine.animationParams.timing.organicVariation = 0.1;
+        });
     }, 2000);
 }
 
@@ -493,6 +756,9 @@ if (typeof module !== 'undefined' && module.exports) {
         applyPreset,
         toggleDebugMode,
         exportSettings,
-        importSettings
+        importSettings,
+        exportSonification,
+        exportAnimationFile,
+        exportProfile
     };
 }
\ No newline at end of file
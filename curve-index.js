@@ -0,0 +1,184 @@
+// databutter - Monotone Curve Index
+// Evaluates the exact cubic that d3.curveMonotoneX draws, with a sorted binary-search index
+
+class MonotoneCurveIndex {
+    constructor(points, xAccessor = d => d.x, yAccessor = d => d.y) {
+        const xs = new Float64Array(points.length);
+        const ys = new Float64Array(points.length);
+        let count = 0;
+        let ascending = true;
+        
+        for (let i = 0; i < points.length; i++) {
+            const x = +xAccessor(points[i]);
+            const y = +yAccessor(points[i]);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+            
+            if (count > 0 && x < xs[count - 1]) {
+                ascending = false;
+            }
+            
+            xs[count] = x;
+            ys[count] = y;
+            count++;
+        }
+        
+        // Only pay for the sort when the data isn't already ascending
+        if (!ascending) {
+            const order = Array.from({ length: count }, (_, i) => i).sort((a, b) => xs[a] - xs[b]);
+            const sortedXs = Float64Array.from(order, i => xs[i]);
+            const sortedYs = Float64Array.from(order, i => ys[i]);
+            xs.set(sortedXs);
+            ys.set(sortedYs);
+        }
+        
+        // d3 skips coincident points, so we do too
+        let length = 0;
+        for (let i = 0; i < count; i++) {
+            if (length > 0 && xs[i] === xs[length - 1] && ys[i] === ys[length - 1]) continue;
+            xs[length] = xs[i];
+            ys[length] = ys[i];
+            length++;
+        }
+        
+        this.length = length;
+        this.xs = xs.subarray(0, length);
+        this.ys = ys.subarray(0, length);
+        this.tangents = new Float64Array(length);
+        
+        this.computeTangents();
+    }
+    
+    // Same tangent rules as d3-shape's monotoneX (Steffen's method)
+    computeTangents() {
+        const { tangents, length } = this;
+        if (length < 3) return; // 0-2 points: d3 draws a point or a straight line
+        
+        for (let i = 1; i < length - 1; i++) {
+            tangents[i] = this.slope3(i);
+        }
+        
+        tangents[0] = this.slope2(0, tangents[1]);
+        tangents[length - 1] = this.slope2(length - 2, tangents[length - 2]);
+    }
+    
+    // Interior tangent at point i, from its two neighbouring secants
+    slope3(i) {
+        const { xs, ys } = this;
+        const h0 = xs[i] - xs[i - 1];
+        const h1 = xs[i + 1] - xs[i];
+        const s0 = (ys[i] - ys[i - 1]) / (h0 || (h1 < 0 && -0));
+        const s1 = (ys[i + 1] - ys[i]) / (h1 || (h0 < 0 && -0));
+        const p = (s0 * h1 + s1 * h0) / (h0 + h1);
+        const sign = value => value < 0 ? -1 : 1;
+        
+        return (sign(s0) + sign(s1)) * Math.min(Math.abs(s0), Math.abs(s1), 0.5 * Math.abs(p)) || 0;
+    }
+    
+    // End tangent for the segment starting at i, given the tangent at its other end
+    slope2(i, t) {
+        const h = this.xs[i + 1] - this.xs[i];
+        return h ? (3 * (this.ys[i + 1] - this.ys[i]) / h - t) / 2 : t;
+    }
+    
+    // Binary search: index of the segment [xs[i], xs[i + 1]] containing x
+    segmentIndex(x) {
+        const { xs, length } = this;
+        let low = 0;
+        let high = length - 2;
+        
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (xs[mid] <= x) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        return low;
+    }
+    
+    // Evaluate segment i at x - the Bezier control points sit at thirds, so x(t) is linear
+    evaluateSegment(i, x) {
+        const { xs, ys, tangents } = this;
+        const x0 = xs[i];
+        const x1 = xs[i + 1];
+        const y0 = ys[i];
+        const y1 = ys[i + 1];
+        const dx = x1 - x0;
+        
+        if (!dx) return y1;
+        
+        const t = (x - x0) / dx;
+        
+        if (this.length === 2) {
+            return y0 + (y1 - y0) * t; // d3 uses lineTo for two points
+        }
+        
+        const c0 = y0 + dx * tangents[i] / 3;
+        const c1 = y1 - dx * tangents[i + 1] / 3;
+        const mt = 1 - t;
+        
+        return mt * mt * mt * y0 + 3 * mt * mt * t * c0 + 3 * mt * t * t * c1 + t * t * t * y1;
+    }
+    
+    // Y value on the drawn curve at any X (clamped to the data's extent)
+    valueAt(x) {
+        const { xs, ys, length } = this;
+        
+        if (length === 0) return 0;
+        if (length === 1 || x <= xs[0]) return ys[0];
+        if (x >= xs[length - 1]) return ys[length - 1];
+        
+        return this.evaluateSegment(this.segmentIndex(x), x);
+    }
+    
+    // Evaluate many ascending X values in one O(points + samples) sweep
+    sample(ascendingXs) {
+        const { xs, ys, length } = this;
+        const values = new Float64Array(ascendingXs.length);
+        let segment = 0;
+        
+        for (let i = 0; i < ascendingXs.length; i++) {
+            const x = ascendingXs[i];
+            
+            if (length === 0) {
+                values[i] = 0;
+            } else if (length === 1 || x <= xs[0]) {
+                values[i] = ys[0];
+            } else if (x >= xs[length - 1]) {
+                values[i] = ys[length - 1];
+            } else {
+                while (segment < length - 2 && xs[segment + 1] <= x) {
+                    segment++;
+                }
+                values[i] = this.evaluateSegment(segment, x);
+            }
+        }
+        
+        return values;
+    }
+}
+
+// Step curves (d3.curveStep / curveStepBefore / curveStepAfter) - the jump sits at
+// x0 + position * (x1 - x0): 0.5 for curveStep, 0 for curveStepBefore, 1 for curveStepAfter
+class StepCurveIndex extends MonotoneCurveIndex {
+    constructor(points, xAccessor = d => d.x, yAccessor = d => d.y, position = 0.5) {
+        super(points, xAccessor, yAccessor);
+        this.position = position;
+    }
+    
+    computeTangents() {
+        // Flat segments - nothing to precompute
+    }
+    
+    evaluateSegment(i, x) {
+        const jumpX = this.xs[i] + this.position * (this.xs[i + 1] - this.xs[i]);
+        return x < jumpX ? this.ys[i] : this.ys[i + 1];
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MonotoneCurveIndex, StepCurveIndex };
+}
\ No newline at end of file
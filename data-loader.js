@@ -0,0 +1,453 @@
+// databutter - Data Loader
+// CSV / TSV / JSON from a file picker, drag-and-drop or a same-origin URL, mapped onto { day, series... } rows
+
+const DATA_FORMATS = ['csv', 'tsv', 'json'];
+
+// Headers that make a good default x column
+const X_COLUMN_HINTS = /^(day|x|date|time|week|month|year|period|index)$/i;
+
+// A column's type is whatever this share of its non-empty cells agree on
+const TYPE_AGREEMENT = 0.8;
+
+const DataLoader = {
+    // csv / tsv / json from the file name, MIME type, or failing that the content itself
+    detectFormat(text, { filename = '', mimeType = '' } = {}) {
+        const extension = (filename.split('.').pop() || '').toLowerCase();
+        if (DATA_FORMATS.includes(extension)) return extension;
+        if (/json/.test(mimeType)) return 'json';
+        if (/tab-separated/.test(mimeType)) return 'tsv';
+        
+        const start = text.trimStart();
+        if (start.startsWith('[') || start.startsWith('{')) return 'json';
+        
+        return 'csv';
+    },
+    
+    // The delimiter the header line uses most - spreadsheets in some locales export ';'
+    detectDelimiter(text, format) {
+        if (format === 'tsv') return '\t';
+        
+        const header = text.split(/\r?\n/, 1)[0];
+        const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+        counts.sort((a, b) => b[1] - a[1]);
+        
+        return counts[0][1] > 0 ? counts[0][0] : ',';
+    },
+    
+    // Text → { format, columns, records: [{ location, values: { column: raw } }] }
+    parse(text, options = {}) {
+        const format = options.format || this.detectFormat(text, options);
+        const table = format === 'json' ? this.parseJson(text) : this.parseDelimited(text, format);
+        
+        if (!table.columns.length) {
+            throw new Error('No columns found - is the first row a header?');
+        }
+        if (!table.records.length) {
+            throw new Error('No data rows found');
+        }
+        
+        return { format, ...table };
+    },
+    
+    parseDelimited(text, format) {
+        const delimiter = this.detectDelimiter(text, format);
+        const rows = d3.dsvFormat(delimiter).parseRows(text.replace(/^\uFEFF/, '')); // Excel's BOM
+        const columns = (rows[0] || []).map(column => column.trim());
+        const records = [];
+        
+        // Track physical line numbers - quoted cells can span lines
+        let line = 1 + this.countNewlines(rows[0] || []);
+        
+        rows.slice(1).forEach(row => {
+            line += 1;
+            
+            if (row.some(cell => cell.trim() !== '')) {
+                const values = {};
+                columns.forEach((column, index) => {
+                    values[column] = row[index] ?? '';
+                });
+                records.push({ location: `line ${line}`, line, values, extraCells: row.length > columns.length });
+            }
+            
+            line += this.countNewlines(row);
+        });
+        
+        // Locales that export ';' write decimal commas ("12,5") - see parseNumber
+        return { columns, records, decimal: delimiter === ';' ? ',' : '.' };
+    },
+    
+    countNewlines(row) {
+        return row.reduce((count, cell) => count + (cell.match(/\n/g) || []).length, 0);
+    },
+    
+    // An array of objects, or { data: [...] } / { rows: [...] }
+    parseJson(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        
+        const rows = Array.isArray(parsed) ? parsed : parsed?.data || parsed?.rows;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON must be an array of rows, or an object with a "data" or "rows" array');
+        }
+        
+        const columns = [];
+        rows.forEach(row => {
+            if (row && typeof row === 'object' && !Array.isArray(row)) {
+                Object.keys(row).forEach(key => {
+                    if (!columns.includes(key)) columns.push(key);
+                });
+            }
+        });
+        
+        const records = rows.map((row, index) => ({
+            location: `record ${index + 1}`,
+            record: index + 1,
+            values: row && typeof row === 'object' && !Array.isArray(row) ? row : null
+        }));
+        
+        return { columns, records };
+    },
+    
+    // "1,234.50", "$980", "12%" → numbers, as spreadsheets export them; null if it isn't one.
+    // decimal is the file's decimal separator ("1.234,5" with ','); the other one only counts as
+    // thousands grouping, so "12,5" in a '.' file is rejected rather than read as 125
+    parseNumber(raw, decimal = '.') {
+        if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+        if (typeof raw !== 'string') return null;
+        
+        let text = raw.trim().replace(/[\s$€£¥]/g, '');
+        const percent = text.endsWith('%');
+        if (percent) text = text.slice(0, -1);
+        
+        const group = decimal === ',' ? '.' : ',';
+        const grouped = decimal === ',' ? /^[-+]?\d{1,3}(\.\d{3})+$/ : /^[-+]?\d{1,3}(,\d{3})+$/;
+        const [whole, fraction, ...extra] = text.split(decimal);
+        if (extra.length) return null;
+        if (whole.includes(group) && !grouped.test(whole)) return null;
+        
+        text = whole.split(group).join('') + (fraction === undefined ? '' : `.${fraction}`);
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null;
+        
+        const value = parseFloat(text);
+        return percent ? value / 100 : value;
+    },
+    
+    // ISO dates only (see parseIsoDate) - the same rule the engine uses for date x values
+    parseDate(raw) {
+        return parseIsoDate(raw);
+    },
+    
+    isEmpty(raw) {
+        return raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '');
+    },
+    
+    // number, date, string or empty for each column
+    detectColumnTypes(table) {
+        const types = {};
+        
+        table.columns.forEach(column => {
+            const cells = table.records
+                .filter(record => record.values && !this.isEmpty(record.values[column]))
+                .map(record => record.values[column]);
+            
+            if (!cells.length) {
+                types[column] = 'empty';
+                return;
+            }
+            
+            const numbers = cells.filter(cell => this.parseNumber(cell, table.decimal) !== null).length;
+            const dates = cells.filter(cell => this.parseDate(cell) !== null).length;
+            
+            if (numbers / cells.length >= TYPE_AGREEMENT) {
+                types[column] = 'number';
+            } else if (dates / cells.length >= TYPE_AGREEMENT) {
+                types[column] = 'date';
+            } else {
+                types[column] = 'string';
+            }
+        });
+        
+        return types;
+    },
+    
+    // Default mapping: a day- or date-like column for x, every other numeric column as a series
+    suggestMapping(table, types = this.detectColumnTypes(table)) {
+        const numeric = table.columns.filter(column => types[column] === 'number');
+        const candidates = table.columns.filter(column => types[column] === 'number' || types[column] === 'date');
+        const x = candidates.find(column => X_COLUMN_HINTS.test(column)) ||
+            candidates.find(column => types[column] === 'date') || numeric[0] || null;
+        
+        return {
+            x: x,
+            series: numeric.filter(column => column !== x)
+        };
+    },
+    
+    // Mapped table → engine rows ({ day, <series>: value }), with every rejected cell or row reported
+    buildRows(table, mapping, types = this.detectColumnTypes(table)) {
+        const x = mapping.x;
+        const series = (mapping.series || []).filter(column => column !== x);
+        
+        if (!x || !table.columns.includes(x)) {
+            throw new Error('Choose an x column');
+        }
+        if (types[x] !== 'number' && types[x] !== 'date') {
+            throw new Error(`The x column "${x}" must be numeric or ISO dates (it looks like ${types[x]})`);
+        }
+        if (!series || !series.length) {
+            throw new Error('Choose at least one series column');
+        }
+        if (series.includes('day')) {
+            throw new Error('A series column can\'t be called "day" - that name is reserved for x');
+        }
+        
+        const problems = [];
+        const rowsByX = new Map();
+        
+        table.records.forEach(record => {
+            const report = message => problems.push({ location: record.location, message });
+            
+            if (!record.values) {
+                report('not an object');
+                return;
+            }
+            if (record.extraCells) {
+                report('more cells than header columns - extra cells ignored');
+            }
+            
+            // Dates stay Dates so the engine picks a time axis; they're keyed by timestamp
+            const isDate = types[x] === 'date';
+            const xValue = isDate ? this.parseDate(record.values[x]) : this.parseNumber(record.values[x], table.decimal);
+            if (xValue === null) {
+                report(this.isEmpty(record.values[x])
+                    ? `missing ${x} - row skipped`
+                    : `${x} "${record.values[x]}" is not ${isDate ? 'an ISO date' : 'a number'} - row skipped`);
+                return;
+            }
+            
+            const key = +xValue;
+            if (rowsByX.has(key)) {
+                report(`duplicate ${x} ${record.values[x]} - row skipped`);
+                return;
+            }
+            
+            const row = { day: xValue };
+            series.forEach(column => {
+                const raw = record.values[column];
+                if (this.isEmpty(raw)) return; // Series may skip a point
+                
+                const value = this.parseNumber(raw, table.decimal);
+                if (value === null) {
+                    report(`${column} "${raw}" is not a number - cell skipped`);
+                } else {
+                    row[column] = value;
+                }
+            });
+            
+            rowsByX.set(key, row);
+        });
+        
+        const data = Array.from(rowsByX.values()).sort((a, b) => a.day - b.day);
+        
+        if (!data.length) {
+            throw new Error('No valid rows left after validation');
+        }
+        
+        return { data, problems };
+    },
+    
+    async readFile(file) {
+        const text = await file.text();
+        return this.parse(text, { filename: file.name, mimeType: file.type });
+    },
+    
+    // Same-origin only: analysts point this at exports sitting next to the page
+    async fetchUrl(url) {
+        const resolved = new URL(url, window.location.href);
+        if (resolved.origin !== window.location.origin) {
+            throw new Error(`Only same-origin URLs can be loaded (got ${resolved.origin})`);
+        }
+        
+        const response = await fetch(resolved.href);
+        if (!response.ok) {
+            throw new Error(`Could not load ${resolved.pathname}: ${response.status} ${response.statusText}`);
+        }
+        
+        const text = await response.text();
+        return this.parse(text, {
+            filename: resolved.pathname,
+            mimeType: response.headers.get('content-type') || ''
+        });
+    }
+};
+
+// File picker, drop target and URL field, plus the column mapping form. Applying a mapping
+// morphs the engine to the new data.
+class DataImportPanel {
+    // elements (all optional): fileInput, dropTarget, urlInput, urlButton, mappingContainer, statusElement
+    constructor(engine, elements = {}) {
+        this.engine = engine;
+        this.elements = elements;
+        this.table = null;
+        this.types = null;
+        this.cleanups = [];
+        
+        this.bindElements();
+    }
+    
+    listen(target, event, handler) {
+        if (!target) return;
+        target.addEventListener(event, handler);
+        this.cleanups.push(() => target.removeEventListener(event, handler));
+    }
+    
+    bindElements() {
+        const { fileInput, dropTarget, urlInput, urlButton } = this.elements;
+        
+        this.listen(fileInput, 'change', () => {
+            if (fileInput.files[0]) {
+                this.load(() => DataLoader.readFile(fileInput.files[0]), fileInput.files[0].name);
+            }
+        });
+        
+        this.listen(urlButton, 'click', () => {
+            if (urlInput && urlInput.value.trim()) {
+                this.load(() => DataLoader.fetchUrl(urlInput.value.trim()), urlInput.value.trim());
+            }
+        });
+        
+        this.listen(dropTarget, 'dragover', event => {
+            event.preventDefault();
+            dropTarget.classList.add('drag-over');
+        });
+        this.listen(dropTarget, 'dragleave', () => dropTarget.classList.remove('drag-over'));
+        this.listen(dropTarget, 'drop', event => {
+            event.preventDefault();
+            dropTarget.classList.remove('drag-over');
+            
+            const file = event.dataTransfer?.files?.[0];
+            if (file) {
+                this.load(() => DataLoader.readFile(file), file.name);
+            }
+        });
+    }
+    
+    async load(read, source) {
+        this.setStatus(`Reading ${source}...`);
+        
+        try {
+            this.table = await read();
+            this.types = DataLoader.detectColumnTypes(this.table);
+            console.log(`📥 Loaded ${this.table.records.length} rows from ${source}`, this.types);
+            
+            this.renderMapping(DataLoader.suggestMapping(this.table, this.types));
+            this.setStatus(`${this.table.records.length} rows, ${this.table.columns.length} columns (${this.table.format.toUpperCase()}) - choose the columns to chart`);
+        } catch (error) {
+            console.error('❌ Failed to load data:', error);
+            this.table = null;
+            this.renderMapping(null);
+            this.setStatus(error.message, true);
+        }
+    }
+    
+    // x select, one checkbox per series candidate and an Apply button
+    renderMapping(mapping) {
+        const container = this.elements.mappingContainer;
+        if (!container) return;
+        
+        const root = d3.select(container);
+        root.selectAll("*").remove();
+        if (!mapping) return;
+        
+        const columns = this.table.columns;
+        const describe = column => `${column} (${this.types[column]})`;
+        
+        const xLabel = root.append("label").attr("class", "mapping-x").text("X column ");
+        const xSelect = xLabel.append("select").attr("class", "mapping-x-select");
+        xSelect.selectAll("option")
+            .data(columns)
+            .join("option")
+            .attr("value", column => column)
+            .property("selected", column => column === mapping.x)
+            .text(describe);
+        
+        const seriesGroup = root.append("fieldset").attr("class", "mapping-series");
+        seriesGroup.append("legend").text("Series");
+        
+        const seriesLabels = seriesGroup.selectAll("label")
+            .data(columns)
+            .join("label");
+        seriesLabels.append("input")
+            .attr("type", "checkbox")
+            .attr("value", column => column)
+            .property("checked", column => mapping.series.includes(column))
+            .property("disabled", column => this.types[column] !== 'number');
+        seriesLabels.append("span").text(column => ` ${describe(column)}`);
+        
+        root.append("button")
+            .attr("type", "button")
+            .attr("class", "mapping-apply")
+            .text("Chart it")
+            .on("click", () => this.apply({
+                x: xSelect.property("value"),
+                series: seriesGroup.selectAll("input:checked").nodes().map(node => node.value)
+            }));
+        
+        root.append("ul").attr("class", "mapping-problems");
+    }
+    
+    apply(mapping) {
+        if (!this.table) return;
+        
+        try {
+            const { data, problems } = DataLoader.buildRows(this.table, mapping, this.types);
+            
+            this.engine.updateData(data);
+            
+            this.showProblems(problems);
+            this.setStatus(problems.length
+                ? `Charted ${data.length} rows - ${problems.length} problem${problems.length === 1 ? '' : 's'} listed below`
+                : `Charted ${data.length} rows`);
+        } catch (error) {
+            this.showProblems([]);
+            this.setStatus(error.message, true);
+        }
+    }
+    
+    showProblems(problems) {
+        const container = this.elements.mappingContainer;
+        if (!container) return;
+        
+        if (problems.length) {
+            console.warn(`⚠️ ${problems.length} data problems`, problems);
+        }
+        
+        d3.select(container).select(".mapping-problems")
+            .selectAll("li")
+            .data(problems)
+            .join("li")
+            .text(problem => `${problem.location}: ${problem.message}`);
+    }
+    
+    setStatus(message, isError = false) {
+        const { statusElement } = this.elements;
+        if (!statusElement) return;
+        
+        statusElement.textContent = message;
+        statusElement.classList.toggle('error', isError);
+    }
+    
+    destroy() {
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataLoader, DataImportPanel, DATA_FORMATS };
+}
\ No newline at end of file
@@ -86,171 +86,178 @@ const dataStory = {
     }
 };
 
-// Enhanced data utilities with performance optimizations
-const DataUtils = {
-    // Cached calculations for performance
-    _cache: new Map(),
-    
-    // Get max value across all years (cached)
-    getMaxValue() {
-        const cacheKey = 'maxValue';
-        if (this._cache.has(cacheKey)) {
-            return this._cache.get(cacheKey);
-        }
+// Enhanced data utilities with performance optimizations. One instance per dataset: rows of
+// { day, <series>: value } with any number of series and points. Every result is cached until
+// setData() swaps the rows.
+class DataUtilities {
+    constructor(data = []) {
+        this._cache = new Map();
         
-        const maxValue = d3.max(sampleData, d => Math.max(d.year1, d.year2, d.year3));
-        this._cache.set(cacheKey, maxValue);
-        return maxValue;
-    },
-    
-    // Get data for specific year (cached)
-    getYearData(year) {
-        const cacheKey = `yearData-${year}`;
-        if (this._cache.has(cacheKey)) {
-            return this._cache.get(cacheKey);
-        }
+        // Moments worth a dramatic pause (a beat can override with dramatic: true/false)
+        this.dramaticMoments = ['viral-moment', 'victory-finale', 'first-success'];
         
-        const yearKey = `year${year}`;
-        const yearData = sampleData.map(d => ({
-            day: d.day,
-            value: d[yearKey]
-        }));
-        
-        this._cache.set(cacheKey, yearData);
-        return yearData;
-    },
+        this.setData(data);
+    }
     
-    // Get totals for each year (cached)
-    getYearTotals() {
-        const cacheKey = 'yearTotals';
-        if (this._cache.has(cacheKey)) {
-            return this._cache.get(cacheKey);
-        }
-        
-        const totals = {
-            year1: d3.sum(sampleData, d => d.year1),
-            year2: d3.sum(sampleData, d => d.year2),
-            year3: d3.sum(sampleData, d => d.year3)
-        };
-        
-        this._cache.set(cacheKey, totals);
-        return totals;
-    },
+    // Point the utilities at new data and drop everything cached from the old
+    setData(data) {
+        this.data = data || [];
+        this.clearCache();
+    }
     
-    // Find peak day for each year (cached)
-    getPeakDays() {
-        const cacheKey = 'peakDays';
-        if (this._cache.has(cacheKey)) {
-            return this._cache.get(cacheKey);
+    // Clear cache when data changes
+    clearCache() {
+        this._cache.clear();
+    }
+    
+    cached(key, compute) {
+        if (!this._cache.has(key)) {
+            this._cache.set(key, compute());
         }
-        
-        let peaks = { year1: null, year2: null, year3: null };
-        
-        sampleData.forEach(d => {
-            ['year1', 'year2', 'year3'].forEach(year => {
-                if (!peaks[year] || d[year] > peaks[year].value) {
-                    peaks[year] = { day: d.day, value: d[year] };
-                }
-            });
+        return this._cache.get(key);
+    }
+    
+    // Every non-day column, in the order they first appear
+    getSeriesKeys() {
+        return this.cached('seriesKeys', () => {
+            const keys = new Set();
+            this.data.forEach(d => Object.keys(d).forEach(key => {
+                if (key !== 'day') keys.add(key);
+            }));
+            return Array.from(keys);
         });
-        
-        this._cache.set(cacheKey, peaks);
-        return peaks;
-    },
+    }
     
-    // Get animation personality for a year
-    getYearPersonality(yearNumber) {
-        const yearKey = `year${yearNumber}`;
-        return dataStory[yearKey]?.animationPersonality || {
+    // { day, value } points for one series - rows without a value for it are skipped
+    getSeriesData(key) {
+        return this.cached(`seriesData-${key}`, () => this.data
+            .filter(d => Number.isFinite(d[key]))
+            .map(d => ({ day: d.day, value: d[key] })));
+    }
+    
+    // Get max value across all series (cached)
+    getMaxValue() {
+        return this.cached('maxValue', () =>
+            d3.max(this.getSeriesKeys(), key => d3.max(this.getSeriesData(key), d => d.value)) ?? 0);
+    }
+    
+    // Get totals for each series (cached)
+    getSeriesTotals() {
+        return this.cached('seriesTotals', () => Object.fromEntries(
+            this.getSeriesKeys().map(key => [key, d3.sum(this.getSeriesData(key), d => d.value)])
+        ));
+    }
+    
+    // Find peak day for each series (cached)
+    getPeakDays() {
+        return this.cached('peakDays', () => Object.fromEntries(
+            this.getSeriesKeys().map(key => {
+                const peak = d3.greatest(this.getSeriesData(key), d => d.value);
+                return [key, peak ? { day: peak.day, value: peak.value } : null];
+            })
+        ));
+    }
+    
+    // Get animation personality for a series
+    getSeriesPersonality(key) {
+        return dataStory[key]?.animationPersonality || {
             speed: 1.0,
             easing: "power2.out",
             anticipation: 0.95,
             squash: 0.9
         };
-    },
+    }
     
     // Get narrative beats for dramatic timing
-    getNarrativeBeats(yearNumber) {
-        const yearKey = `year${yearNumber}`;
-        return dataStory[yearKey]?.narrativeBeats || [];
-    },
+    getNarrativeBeats(key) {
+        return dataStory[key]?.narrativeBeats || [];
+    }
+    
+    isDramaticBeat(beat) {
+        return beat.dramatic ?? this.dramaticMoments.includes(beat.moment);
+    }
     
     // Check if a day is a dramatic moment
-    isDramaticMoment(yearNumber, day) {
-        const beats = this.getNarrativeBeats(yearNumber);
-        return beats.some(beat => beat.day === day && 
-            ['viral-moment', 'victory-finale', 'first-success'].includes(beat.moment));
-    },
+    isDramaticMoment(key, day) {
+        const beats = this.getNarrativeBeats(key);
+        return beats.some(beat => beat.day === day && this.isDramaticBeat(beat));
+    }
     
     // Get data intensity for adaptive timing
-    getDataIntensity(yearNumber) {
-        const yearData = this.getYearData(yearNumber);
-        const values = yearData.map(d => d.value);
-        const range = Math.max(...values) - Math.min(...values);
+    getDataIntensity(key) {
+        const values = this.getSeriesData(key).map(d => d.value);
         const maxPossibleRange = this.getMaxValue();
+        if (!values.length || !maxPossibleRange) return 0;
+        
+        const range = Math.max(...values) - Math.min(...values);
         
         // Return intensity score 0-1
         return Math.min(range / maxPossibleRange, 1);
-    },
+    }
     
-    // Generate variation for organic feel
-    generateOrganicVariation(baseValue, variationPercent = 0.1) {
-        const variation = (Math.random() - 0.5) * variationPercent;
+    // Generate variation for organic feel (pass a SeededRandom stream to make it repeatable)
+    generateOrganicVariation(baseValue, variationPercent = 0.1, random = SeededRandom.stream('organic')) {
+        const variation = (random() - 0.5) * variationPercent;
         return baseValue * (1 + variation);
-    },
-    
-    // Clear cache when data changes
-    clearCache() {
-        this._cache.clear();
-    },
+    }
     
     // Get summary statistics
     getSummaryStats() {
-        return {
-            totalSales: Object.values(this.getYearTotals()).reduce((sum, year) => sum + year, 0),
-            bestYear: this.getBestYear(),
+        return this.cached('summaryStats', () => ({
+            totalSales: d3.sum(Object.values(this.getSeriesTotals())),
+            bestSeries: this.getBestSeries(),
             bestDay: this.getBestSingleDay(),
             growthRate: this.getGrowthRate(),
-            averageDailySales: this.getAverageDailySales()
-        };
-    },
+            averageDailySales: this.getAverageDailySales(),
+            seriesCount: this.getSeriesKeys().length,
+            pointCount: this.getPointCount()
+        }));
+    }
     
-    getBestYear() {
-        const totals = this.getYearTotals();
-        return Object.keys(totals).reduce((best, year) => 
-            totals[year] > totals[best] ? year : best
-        );
-    },
+    getBestSeries() {
+        const totals = this.getSeriesTotals();
+        return Object.keys(totals).reduce((best, key) =>
+            best === null || totals[key] > totals[best] ? key : best, null);
+    }
     
     getBestSingleDay() {
-        let bestDay = { year: null, day: null, value: 0 };
+        let bestDay = { series: null, day: null, value: -Infinity };
         
-        sampleData.forEach(d => {
-            ['year1', 'year2', 'year3'].forEach((year, index) => {
-                if (d[year] > bestDay.value) {
-                    bestDay = {
-                        year: index + 1,
-                        day: d.day,
-                        value: d[year]
-                    };
+        this.getSeriesKeys().forEach(key => {
+            this.getSeriesData(key).forEach(d => {
+                if (d.value > bestDay.value) {
+                    bestDay = { series: key, day: d.day, value: d.value };
                 }
             });
         });
         
-        return bestDay;
-    },
+        return bestDay.series === null ? { series: null, day: null, value: 0 } : bestDay;
+    }
     
+    // First series to last, in percent - null without two series to compare
     getGrowthRate() {
-        const totals = this.getYearTotals();
-        return Math.round(((totals.year3 - totals.year1) / totals.year1) * 100);
-    },
+        const keys = this.getSeriesKeys();
+        const totals = this.getSeriesTotals();
+        if (keys.length < 2) return null;
+        
+        const first = totals[keys[0]];
+        const last = totals[keys[keys.length - 1]];
+        return first ? Math.round(((last - first) / first) * 100) : null;
+    }
+    
+    // Values actually present - series can skip days
+    getPointCount() {
+        return d3.sum(this.getSeriesKeys(), key => this.getSeriesData(key).length);
+    }
     
     getAverageDailySales() {
-        const totals = this.getYearTotals();
-        const totalSales = Object.values(totals).reduce((sum, year) => sum + year, 0);
-        return Math.round(totalSales / (15 * 3)); // 15 days * 3 years
+        const count = this.getPointCount();
+        return count ? Math.round(d3.sum(Object.values(this.getSeriesTotals())) / count) : 0;
     }
-};
+}
+
+// Shared default bound to the sample data; each engine keeps its own instance for its data
+const DataUtils = new DataUtilities(sampleData);
 
 // Animation Presets (formerly "D" presets)
 const AnimationPresets = {
@@ -368,33 +375,35 @@ const AnimationPresets = {
 
 // Data generation utilities for experimentation
 const DataGenerator = {
-    // Generate new sample data with story patterns
-    generateStoryData(storyType = 'rollercoaster') {
+    // Generate new sample data with story patterns - the same seed and story give the same data
+    generateStoryData(storyType = 'rollercoaster', random = SeededRandom.createStream(`story-${storyType}`)) {
+        const noise = amount => this.addNoise(amount, random);
+        
         const patterns = {
             'slow-burn': {
                 // Gradual increase throughout
-                generator: (day) => 2000 + (day * 400) + this.addNoise(200)
+                generator: (day) => 2000 + (day * 400) + noise(200)
             },
             'plateau': {
                 // High start, plateau, decline
                 generator: (day) => {
-                    if (day <= 3) return 7000 + this.addNoise(300);
-                    if (day <= 10) return 6500 + this.addNoise(200);
-                    return 5000 + this.addNoise(400);
+                    if (day <= 3) return 7000 + noise(300);
+                    if (day <= 10) return 6500 + noise(200);
+                    return 5000 + noise(400);
                 }
             },
             'rollercoaster': {
                 // High start, dip, explosive finish
                 generator: (day) => {
-                    if (day <= 3) return 8500 + this.addNoise(400);
-                    if (day <= 10) return 6000 + this.addNoise(300);
-                    if (day <= 12) return 7000 + (day - 10) * 800 + this.addNoise(500);
-                    return 10000 + (day - 12) * 800 + this.addNoise(600);
+                    if (day <= 3) return 8500 + noise(400);
+                    if (day <= 10) return 6000 + noise(300);
+                    if (day <= 12) return 7000 + (day - 10) * 800 + noise(500);
+                    return 10000 + (day - 12) * 800 + noise(600);
                 }
             },
             'hockey-stick': {
                 // Flat start, exponential growth
-                generator: (day) => 3000 + Math.pow(day - 1, 1.8) * 200 + this.addNoise(300)
+                generator: (day) => 3000 + Math.pow(day - 1, 1.8) * 200 + noise(300)
             }
         };
         
@@ -408,50 +417,31 @@ const DataGenerator = {
         }));
     },
     
-    addNoise(amount) {
-        return (Math.random() - 0.5) * amount;
+    addNoise(amount, random = SeededRandom.stream('noise')) {
+        return (random() - 0.5) * amount;
     },
     
     // Generate data variations for A/B testing animations
-    generateVariations(baseData, count = 5) {
+    generateVariations(baseData, count = 5, random = SeededRandom.createStream('variations')) {
         return Array.from({ length: count }, (_, i) => {
             return baseData.map(d => ({
                 day: d.day,
-                year1: Math.round(d.year1 * (0.8 + Math.random() * 0.4)),
-                year2: Math.round(d.year2 * (0.8 + Math.random() * 0.4)),
-                year3: Math.round(d.year3 * (0.8 + Math.random() * 0.4))
+                year1: Math.round(d.year1 * (0.8 + random() * 0.4)),
+                year2: Math.round(d.year2 * (0.8 + random() * 0.4)),
+                year3: Math.round(d.year3 * (0.8 + random() * 0.4))
             }));
         });
     }
 };
 
-// Performance tracking for data operations
-const DataPerformance = {
-    startTime: null,
-    
-    startTimer(operation) {
-        this.startTime = performance.now();
-        console.log(`📊 Starting ${operation}...`);
-    },
-    
-    endTimer(operation) {
-        if (this.startTime) {
-            const duration = performance.now() - this.startTime;
-            console.log(`✅ ${operation} completed in ${duration.toFixed(2)}ms`);
-            this.startTime = null;
-            return duration;
-        }
-    }
-};
-
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
         sampleData, 
         dataStory, 
         DataUtils, 
+        DataUtilities,
         AnimationPresets,
-        DataGenerator,
-        DataPerformance
+        DataGenerator
     };
 }
\ No newline at end of file
@@ -0,0 +1,60 @@
+// databutter - Downsampling
+// Largest-Triangle-Three-Buckets: thin a dense series to a point budget and keep its visual shape
+
+// Keeps the first and last points, then one point per bucket - the one forming the largest
+// triangle with the point kept before it and the average of the next bucket. Peaks and dips
+// survive, which evenly spaced sampling would skip. Returns the input when it already fits
+function downsampleLTTB(points, threshold, xAccessor = d => d.x, yAccessor = d => d.y) {
+    const length = points.length;
+    if (threshold >= length || threshold < 3) return points;
+    
+    const sampled = [points[0]];
+    const bucketSize = (length - 2) / (threshold - 2);
+    let previous = 0;
+    
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.floor((bucket + 1) * bucketSize) + 1;
+        
+        // Average of the next bucket (just the last point for the final bucket)
+        const nextStart = end;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, length);
+        let averageX = 0;
+        let averageY = 0;
+        
+        for (let i = nextStart; i < nextEnd; i++) {
+            averageX += +xAccessor(points[i]);
+            averageY += +yAccessor(points[i]);
+        }
+        averageX /= Math.max(1, nextEnd - nextStart);
+        averageY /= Math.max(1, nextEnd - nextStart);
+        
+        const previousX = +xAccessor(points[previous]);
+        const previousY = +yAccessor(points[previous]);
+        let largestArea = -1;
+        let chosen = start;
+        
+        for (let i = start; i < end; i++) {
+            const area = Math.abs(
+                (previousX - averageX) * (+yAccessor(points[i]) - previousY) -
+                (previousX - +xAccessor(points[i])) * (averageY - previousY)
+            );
+            
+            if (area > largestArea) {
+                largestArea = area;
+                chosen = i;
+            }
+        }
+        
+        sampled.push(points[chosen]);
+        previous = chosen;
+    }
+    
+    sampled.push(points[length - 1]);
+    return sampled;
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { downsampleLTTB };
+}
\ No newline at end of file
@@ -0,0 +1,301 @@
+// databutter - Leading Edge Effects
+// Glow, particle trail and a fading stroke highlight that follow each series' clip edge
+
+class LeadingEdgeEffects {
+    constructor(engine) {
+        this.engine = engine;
+        this.group = null;
+        this.layers = new Map(); // series → { glow, highlight, glowGradient, gradient, particles, energy, lastTime, spawnDebt }
+        this.particles = [];     // Live: { element, x, y, vx, vy, age, life, radius }
+        this.pool = [];          // Spare particle elements, reused instead of re-created
+        this.ticking = false;
+        this.manualTime = null;  // Seconds on the frame exporter's clock; null follows gsap.ticker
+        this.random = () => SeededRandom.random('effects'); // Frame export swaps in a fresh stream
+        this.tick = this.tick.bind(this);
+    }
+    
+    // 0 (off) → 1 (full) from the monitor's live constraints; particles off means no effects at all
+    getDensity() {
+        // Exported frames aren't drawn against the clock - always full quality, and repeatable
+        if (this.manualTime !== null) return 1;
+        
+        const monitor = typeof window !== 'undefined' ? window.performanceMonitor : null;
+        const constraints = monitor?.getComplexityConstraints?.();
+        
+        if (!constraints) return 1;
+        return constraints.allowParticleEffects ? constraints.maxWaveComplexity : 0;
+    }
+    
+    // Build the effect elements for every series (after setup or a renderer/backend switch)
+    render() {
+        const engine = this.engine;
+        
+        this.clear();
+        
+        if (this.group) {
+            this.group.remove();
+        }
+        
+        this.layers.clear();
+        this.pool = [];
+        engine.defs.selectAll(".edge-effect-gradient").remove(); // Re-rendered after every data change
+        this.group = engine.chartGroup.append("g")
+            .attr("class", "leading-edge-effects")
+            .style("pointer-events", "none");
+        
+        engine.series.forEach(series => {
+            const glowId = engine.nextDomId(`edge-glow-${series.index}`);
+            const highlightId = engine.nextDomId(`edge-highlight-${series.index}`);
+            
+            const glowGradient = engine.defs.append("radialGradient")
+                .attr("id", glowId)
+                .attr("class", "edge-effect-gradient");
+            glowGradient.append("stop").attr("offset", "0%").attr("stop-opacity", 0.9);
+            glowGradient.append("stop").attr("offset", "45%").attr("stop-opacity", 0.35);
+            glowGradient.append("stop").attr("offset", "100%").attr("stop-opacity", 0);
+            
+            // Fades from nothing at the tail to bright at the edge; x1/x2 follow the edge each frame
+            const gradient = engine.defs.append("linearGradient")
+                .attr("id", highlightId)
+                .attr("class", "edge-effect-gradient")
+                .attr("gradientUnits", "userSpaceOnUse");
+            gradient.append("stop").attr("offset", "0%").attr("stop-opacity", 0);
+            gradient.append("stop").attr("offset", "100%").attr("stop-opacity", 0.85);
+            
+            const layerGroup = this.group.append("g").attr("class", `edge-effects year-${series.index + 1}-effects`);
+            
+            const highlight = layerGroup.append("path")
+                .attr("class", "edge-highlight")
+                .style("fill", "none")
+                .style("stroke", `url(#${highlightId})`)
+                .style("stroke-width", 3)
+                .style("stroke-linecap", "round")
+                .style("opacity", 0);
+            
+            const glow = layerGroup.append("circle")
+                .attr("class", "edge-glow")
+                .attr("r", 0)
+                .style("fill", `url(#${glowId})`)
+                .style("opacity", 0);
+            
+            this.layers.set(series, {
+                glow,
+                highlight,
+                glowGradient,
+                gradient,
+                particles: layerGroup.append("g").attr("class", "edge-particles"),
+                energy: 0,
+                lastTime: null,
+                spawnDebt: 0
+            });
+        });
+        
+        this.applyTheme();
+    }
+    
+    // Glow in the series color, highlight in the theme's - live particles keep theirs until they fade
+    applyTheme() {
+        const { effects } = this.engine.theme;
+        
+        this.layers.forEach((layer, series) => {
+            layer.glowGradient.selectAll("stop").attr("stop-color", series.color.fill);
+            layer.gradient.selectAll("stop").attr("stop-color", effects.highlight);
+        });
+    }
+    
+    // Called on every reveal frame: move the glow and highlight, spawn particles at the edge
+    update(series) {
+        const layer = this.layers.get(series);
+        if (!layer) return;
+        
+        const params = this.engine.animationParams.effects;
+        const density = params.enabled && !this.engine.isReducedMotion() ? this.getDensity() : 0;
+        const progress = series.reveal.progress;
+        
+        // Only a moving, part-revealed edge gets effects
+        if (density <= 0 || progress <= 0 || progress >= 1 || !series.curveLookup) {
+            layer.lastTime = null;
+            return;
+        }
+        
+        const x = series.currentClipX;
+        const entry = this.engine.lookupAt(series, Math.round(x));
+        if (!entry) return;
+        
+        const y = entry.pixelY;
+        layer.energy = 1;
+        
+        if (params.glow) {
+            layer.glow
+                .attr("cx", x)
+                .attr("cy", y)
+                .attr("r", 10 + 10 * density);
+        }
+        
+        if (params.highlight) {
+            const trail = params.trailLength * density;
+            const start = Math.max(0, Math.floor(x - trail));
+            let d = '';
+            
+            for (let pixelX = start; pixelX <= x; pixelX += 2) {
+                d += `${d ? 'L' : 'M'}${pixelX},${this.engine.lookupAt(series, pixelX).pixelY}`;
+            }
+            
+            layer.highlight.attr("d", `${d}${d ? 'L' : 'M'}${x},${y}`);
+            layer.gradient.attr("x1", x - trail).attr("x2", x).attr("y1", 0).attr("y2", 0);
+        }
+        
+        if (params.particles) {
+            // Spawn at a steady rate per second of animation, whatever the frame rate
+            const now = this.manualTime ?? gsap.ticker.time;
+            const elapsed = layer.lastTime === null ? 0 : this.clampStep(now - layer.lastTime);
+            layer.lastTime = now;
+            layer.spawnDebt += elapsed * params.particleRate * density;
+            
+            const maxParticles = Math.round(params.maxParticles * density);
+            
+            while (layer.spawnDebt >= 1) {
+                layer.spawnDebt -= 1;
+                if (this.particles.length < maxParticles) {
+                    this.spawnParticle(layer, series, x, y);
+                }
+            }
+        }
+        
+        this.startTicking();
+    }
+    
+    spawnParticle(layer, series, x, y) {
+        const element = this.pool.pop() || layer.particles.append("circle").node();
+        
+        // Spares may belong to another series' group - move them over
+        if (element.parentNode !== layer.particles.node()) {
+            layer.particles.node().appendChild(element);
+        }
+        
+        const particle = {
+            element: d3.select(element),
+            x: x,
+            y: y + (this.random() - 0.5) * 6,
+            vx: -(20 + this.random() * 50),  // Drift back along the revealed curve
+            vy: -(10 + this.random() * 35),  // ...and float upwards
+            age: 0,
+            life: 0.5 + this.random() * 0.7,
+            radius: 0.8 + this.random() * 1.8
+        };
+        
+        particle.element
+            .attr("r", particle.radius)
+            .style("fill", this.random() < 0.4 ? this.engine.theme.effects.spark : series.color.fill)
+            .style("display", null);
+        
+        this.particles.push(particle);
+    }
+    
+    startTicking() {
+        if (this.ticking || this.manualTime !== null) return;
+        this.ticking = true;
+        gsap.ticker.add(this.tick);
+    }
+    
+    stopTicking() {
+        if (!this.ticking) return;
+        this.ticking = false;
+        gsap.ticker.remove(this.tick);
+    }
+    
+    // Age particles and fade the glow/highlight once an edge stops moving
+    tick(time, deltaTime) {
+        const dt = this.clampStep(deltaTime / 1000);
+        const params = this.engine.animationParams.effects;
+        let active = false;
+        
+        this.particles = this.particles.filter(particle => {
+            particle.age += dt;
+            
+            if (particle.age >= particle.life) {
+                particle.element.style("display", "none");
+                this.pool.push(particle.element.node());
+                return false;
+            }
+            
+            particle.x += particle.vx * dt;
+            particle.y += particle.vy * dt;
+            particle.vy += 25 * dt; // A touch of gravity so the sparks arc
+            
+            particle.element
+                .attr("cx", particle.x)
+                .attr("cy", particle.y)
+                .style("opacity", 1 - particle.age / particle.life);
+            
+            return true;
+        });
+        
+        this.layers.forEach(layer => {
+            layer.glow.style("opacity", params.glow ? layer.energy * 0.8 : 0);
+            layer.highlight.style("opacity", params.highlight ? layer.energy : 0);
+            
+            // update() tops energy back up every frame the edge moves
+            layer.energy = Math.max(0, layer.energy - dt * 4);
+            active = active || layer.energy > 0;
+        });
+        
+        if (!active && this.particles.length === 0) {
+            this.stopTicking();
+        }
+    }
+    
+    // Live frames are capped so a stall doesn't fling particles; exported frames are exact
+    clampStep(seconds) {
+        return this.manualTime === null ? Math.min(seconds, 0.05) : seconds;
+    }
+    
+    // Frame export drives the effects by hand: no ticker, time only moves on advance()
+    beginManualClock() {
+        this.clear();
+        this.manualTime = 0;
+        
+        // Nothing left over from live playback may end up in an exported frame
+        this.pool.forEach(element => element.remove());
+        this.pool = [];
+        this.layers.forEach(layer => {
+            layer.glow.attr("cx", null).attr("cy", null).attr("r", 0);
+            layer.highlight.attr("d", null);
+            layer.gradient.attr("x1", null).attr("x2", null).attr("y1", null).attr("y2", null);
+        });
+    }
+    
+    advance(seconds) {
+        this.manualTime += seconds;
+        this.tick(this.manualTime, seconds * 1000);
+    }
+    
+    endManualClock() {
+        this.manualTime = null;
+        this.clear();
+    }
+    
+    // Drop every particle and hide the glow (reset, resize, teardown)
+    clear() {
+        this.stopTicking();
+        
+        this.particles.forEach(particle => {
+            particle.element.style("display", "none");
+            this.pool.push(particle.element.node());
+        });
+        this.particles = [];
+        
+        this.layers.forEach(layer => {
+            layer.energy = 0;
+            layer.lastTime = null;
+            layer.spawnDebt = 0;
+            layer.glow.style("opacity", 0);
+            layer.highlight.style("opacity", 0);
+        });
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LeadingEdgeEffects };
+}
\ No newline at end of file
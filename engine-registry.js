@@ -0,0 +1,55 @@
+// databutter - Engine Registry
+// Every live engine under a page-unique id, so several charts can share a page and one performance monitor
+
+const EngineRegistry = {
+    engines: new Map(), // id → engine
+    
+    // Reserve an id for an engine: the requested one (usually the SVG's id) if it's free,
+    // otherwise it with a counter suffix. Ids double as DOM id prefixes, so they're kept id-safe
+    register(engine, requestedId) {
+        const base = String(requestedId || 'chart').trim().replace(/[^\w-]+/g, '-') || 'chart';
+        let id = base;
+        
+        for (let suffix = 2; this.engines.has(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        
+        if (requestedId && id !== base) {
+            console.warn(`⚠️ Engine id "${base}" is already taken - registering as "${id}"`);
+        }
+        
+        this.engines.set(id, engine);
+        console.log(`🗂️ Engine registered: ${id} (${this.engines.size} on the page)`);
+        return id;
+    },
+    
+    unregister(engine) {
+        if (this.engines.get(engine.id) === engine) {
+            this.engines.delete(engine.id);
+        }
+    },
+    
+    get(id) {
+        return this.engines.get(id) || null;
+    },
+    
+    getAll() {
+        return Array.from(this.engines.values());
+    },
+    
+    // Call fn for every engine; one failing doesn't stop the rest
+    forEach(fn) {
+        this.getAll().forEach(engine => {
+            try {
+                fn(engine);
+            } catch (error) {
+                console.error(`Engine "${engine.id}" error:`, error);
+            }
+        });
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EngineRegistry };
+}
\ No newline at end of file
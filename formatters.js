@@ -0,0 +1,179 @@
+// databutter - Formatters
+// Locale-aware values (Intl.NumberFormat) and dates for the axes, tooltips, callouts and summaries
+
+const VALUE_FORMAT_STYLES = ['number', 'currency', 'percent', 'unit'];
+
+// ISO 8601 only - Date.parse accepts far too much on its own
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})(?:-(\d{2}))?(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Tick labels from coarse to fine, like d3's default multi-scale time format
+const TIME_TICK_FORMATS = {
+    year: { year: 'numeric' },
+    month: { month: 'short' },
+    day: { month: 'short', day: 'numeric' },
+    hour: { hour: 'numeric' },
+    minute: { hour: 'numeric', minute: '2-digit' },
+    second: { hour: 'numeric', minute: '2-digit', second: '2-digit' }
+};
+
+// ISO date or date-time → Date. Without a zone it's local time, which is what calendar ticks use
+function parseIsoDate(raw) {
+    if (raw instanceof Date) return Number.isNaN(raw.getTime()) ? null : raw;
+    if (typeof raw !== 'string') return null;
+    
+    const match = raw.trim().match(ISO_DATE_PATTERN);
+    if (!match) return null;
+    
+    const [, year, month, day = '01', hour = '00', minute = '00', second = '00', fraction = '', zone] = match;
+    
+    // The Date constructor rolls 2024-02-31 over into March - out-of-range fields aren't a date
+    const daysInMonth = new Date(Date.UTC(+year, +month, 0)).getUTCDate();
+    if (+month < 1 || +month > 12 || +day < 1 || +day > daysInMonth || +hour > 23 || +minute > 59 || +second > 59) {
+        return null;
+    }
+    
+    const date = zone
+        ? new Date(raw.trim().replace(' ', 'T'))
+        : new Date(+year, +month - 1, +day, +hour, +minute, +second, Math.round(parseFloat(`0${fraction}`) * 1000));
+    
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function isTimeValue(raw) {
+    return raw instanceof Date || parseIsoDate(raw) !== null;
+}
+
+// x values become plain numbers for the scales and curve lookups - epoch ms for dates
+function parseXValue(raw) {
+    if (typeof raw === 'number') return raw;
+    
+    const date = parseIsoDate(raw);
+    if (date) return date.getTime();
+    
+    return typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+}
+
+class ChartFormatter {
+    // options: locale (null = the browser's), style (number, currency, percent, unit), currency, unit,
+    // maximumFractionDigits, xType ('linear' or 'time'), xLabel ("Day" → "Day 3"), includeTime
+    constructor(options = {}) {
+        this.options = {
+            locale: null,
+            style: 'number',
+            currency: 'USD',
+            unit: null,
+            maximumFractionDigits: 0,
+            xType: 'linear',
+            xLabel: 'Day',
+            includeTime: false,
+            ...options
+        };
+        
+        this.locale = this.resolveLocale(this.options.locale);
+        this.styleOptions = this.resolveStyleOptions();
+        this.valueFormat = new Intl.NumberFormat(this.locale, {
+            ...this.styleOptions,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: this.options.maximumFractionDigits
+        });
+        this.axisFormat = new Intl.NumberFormat(this.locale, {
+            ...this.styleOptions,
+            notation: 'compact',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 1
+        });
+        this.xNumberFormat = new Intl.NumberFormat(this.locale, { maximumFractionDigits: 1 });
+        this.dateFormat = new Intl.DateTimeFormat(this.locale, this.options.includeTime
+            ? { dateStyle: 'medium', timeStyle: 'short' }
+            : { dateStyle: 'medium' });
+        this.tickFormats = Object.fromEntries(Object.entries(TIME_TICK_FORMATS)
+            .map(([unit, format]) => [unit, new Intl.DateTimeFormat(this.locale, format)]));
+    }
+    
+    get isTime() {
+        return this.options.xType === 'time';
+    }
+    
+    // A bad locale tag throws in Intl - fall back to the browser's rather than break the chart
+    resolveLocale(locale) {
+        if (!locale) return undefined;
+        
+        try {
+            return Intl.NumberFormat.supportedLocalesOf(locale).length ? locale : undefined;
+        } catch (error) {
+            console.warn(`⚠️ Ignoring invalid locale "${locale}"`);
+            return undefined;
+        }
+    }
+    
+    // Intl options for the value style - an unknown currency or unit falls back to plain numbers
+    resolveStyleOptions() {
+        const { style, currency, unit } = this.options;
+        
+        if (!VALUE_FORMAT_STYLES.includes(style)) {
+            console.warn(`⚠️ Unknown value style "${style}" - use ${VALUE_FORMAT_STYLES.join(', ')}`);
+            return {};
+        }
+        
+        const styleOptions = {
+            number: {},
+            currency: { style: 'currency', currency },
+            percent: { style: 'percent' }, // Values are fractions: 0.25 → 25%
+            unit: { style: 'unit', unit, unitDisplay: 'short' }
+        }[style];
+        
+        try {
+            new Intl.NumberFormat(this.locale, styleOptions);
+            return styleOptions;
+        } catch (error) {
+            console.warn(`⚠️ ${error.message} - formatting values as plain numbers`);
+            return {};
+        }
+    }
+    
+    // Tooltips, callouts, tables and summaries
+    value(value) {
+        return Number.isFinite(+value) ? this.valueFormat.format(value) : '—';
+    }
+    
+    // Short y axis ticks (12K, $1.2M, 35%)
+    axisValue(value) {
+        return this.axisFormat.format(value);
+    }
+    
+    // An x position in words: "Day 3", or a date in the locale's medium style
+    x(value) {
+        if (value === null || value === undefined || !Number.isFinite(+value)) return '—';
+        
+        return this.isTime
+            ? this.dateFormat.format(new Date(+value))
+            : `${this.options.xLabel} ${this.xNumberFormat.format(value)}`.trim();
+    }
+    
+    // x axis tick: calendar-aware for time (the coarsest unit the tick isn't a round value of), else x()
+    xTick(value) {
+        if (!this.isTime) return this.x(value);
+        
+        const date = new Date(+value);
+        let unit = 'year';
+        
+        if (d3.timeMinute(date) < date) {
+            unit = 'second';
+        } else if (d3.timeHour(date) < date) {
+            unit = 'minute';
+        } else if (d3.timeDay(date) < date) {
+            unit = 'hour';
+        } else if (d3.timeMonth(date) < date) {
+            unit = 'day';
+        } else if (d3.timeYear(date) < date) {
+            unit = 'month';
+        }
+        
+        return this.tickFormats[unit].format(date);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartFormatter, parseIsoDate, parseXValue, isTimeValue, VALUE_FORMAT_STYLES };
+}
\ No newline at end of file
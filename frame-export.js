@@ -0,0 +1,596 @@
+// databutter - Frame Export
+// Steps the timeline frame by frame and writes an animated SVG, a zip of PNG frames or a GIF
+
+const EXPORT_FORMATS = ['svg', 'png', 'gif'];
+
+// Growable byte buffer for the binary encoders
+class ByteWriter {
+    constructor(size = 1024) {
+        this.bytes = new Uint8Array(size);
+        this.length = 0;
+    }
+    
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        
+        let size = this.bytes.length * 2;
+        while (size < this.length + extra) size *= 2;
+        
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+    
+    byte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value & 0xff;
+    }
+    
+    uint16(value) {
+        this.byte(value);
+        this.byte(value >>> 8);
+    }
+    
+    uint32(value) {
+        this.uint16(value);
+        this.uint16(value >>> 16);
+    }
+    
+    string(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.byte(text.charCodeAt(i));
+        }
+    }
+    
+    append(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+    
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Store-only zip (PNGs are already compressed). Timestamps are fixed at 1980-01-01 so the
+// archive is byte-identical between runs.
+function encodeZip(files) {
+    const writer = new ByteWriter();
+    const central = new ByteWriter();
+    const dosTime = 0;
+    const dosDate = (0 << 9) | (1 << 5) | 1;
+    
+    files.forEach(({ name, data }) => {
+        const offset = writer.length;
+        const crc = crc32(data);
+        
+        writer.uint32(0x04034b50);      // Local file header
+        writer.uint16(20);              // Version needed
+        writer.uint16(0);               // Flags
+        writer.uint16(0);               // Stored
+        writer.uint16(dosTime);
+        writer.uint16(dosDate);
+        writer.uint32(crc);
+        writer.uint32(data.length);
+        writer.uint32(data.length);
+        writer.uint16(name.length);
+        writer.uint16(0);
+        writer.string(name);
+        writer.append(data);
+        
+        central.uint32(0x02014b50);     // Central directory entry
+        central.uint16(20);             // Version made by
+        central.uint16(20);
+        central.uint16(0);
+        central.uint16(0);
+        central.uint16(dosTime);
+        central.uint16(dosDate);
+        central.uint32(crc);
+        central.uint32(data.length);
+        central.uint32(data.length);
+        central.uint16(name.length);
+        central.uint16(0);              // Extra field length
+        central.uint16(0);              // Comment length
+        central.uint16(0);              // Disk number
+        central.uint16(0);              // Internal attributes
+        central.uint32(0);              // External attributes
+        central.uint32(offset);
+        central.string(name);
+    });
+    
+    const centralOffset = writer.length;
+    writer.append(central.result());
+    
+    writer.uint32(0x06054b50);          // End of central directory
+    writer.uint16(0);
+    writer.uint16(0);
+    writer.uint16(files.length);
+    writer.uint16(files.length);
+    writer.uint32(central.length);
+    writer.uint32(centralOffset);
+    writer.uint16(0);
+    
+    return writer.result();
+}
+
+// One 256-colour palette for every frame: the most common colours (15-bit bins, averaged)
+function buildGifPalette(frames) {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    
+    frames.forEach(({ data }) => {
+        for (let i = 0; i < data.length; i += 4) {
+            const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+            counts[key]++;
+            sums[key * 3] += data[i];
+            sums[key * 3 + 1] += data[i + 1];
+            sums[key * 3 + 2] += data[i + 2];
+        }
+    });
+    
+    const keys = [];
+    counts.forEach((count, key) => {
+        if (count) keys.push(key);
+    });
+    keys.sort((a, b) => counts[b] - counts[a] || a - b);
+    
+    return keys.slice(0, 256).map(key => [
+        Math.round(sums[key * 3] / counts[key]),
+        Math.round(sums[key * 3 + 1] / counts[key]),
+        Math.round(sums[key * 3 + 2] / counts[key])
+    ]);
+}
+
+// Palette index for every pixel; nearest colours are cached per 15-bit bin
+function mapToPalette(data, palette, cache) {
+    const indices = new Uint8Array(data.length / 4);
+    
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+        
+        if (cache[key] === -1) {
+            let best = 0;
+            let bestDistance = Infinity;
+            
+            palette.forEach(([r, g, b], index) => {
+                const distance = (r - data[i]) ** 2 + (g - data[i + 1]) ** 2 + (b - data[i + 2]) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = index;
+                }
+            });
+            cache[key] = best;
+        }
+        
+        indices[p] = cache[key];
+    }
+    
+    return indices;
+}
+
+// GIF variable-length LZW, packed into 255-byte sub-blocks
+function writeGifLzw(writer, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    
+    const flushBlock = () => {
+        writer.byte(blockLength);
+        writer.append(block.subarray(0, blockLength));
+        blockLength = 0;
+    };
+    
+    const emit = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        
+        while (bitCount >= 8) {
+            block[blockLength++] = bitBuffer & 0xff;
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+            if (blockLength === 255) flushBlock();
+        }
+    };
+    
+    writer.byte(minCodeSize);
+    emit(clearCode);
+    
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        
+        if (table.has(key)) {
+            prefix = table.get(key);
+            continue;
+        }
+        
+        emit(prefix);
+        
+        if (nextCode === 4096) {
+            // Table full - start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        
+        prefix = index;
+    }
+    
+    emit(prefix);
+    emit(endCode);
+    
+    if (bitCount > 0) {
+        block[blockLength++] = bitBuffer & 0xff;
+        if (blockLength === 255) flushBlock();
+    }
+    if (blockLength > 0) flushBlock();
+    
+    writer.byte(0); // Block terminator
+}
+
+// frames: [{ data (RGBA), width, height }]; delay in hundredths of a second
+function encodeGif(frames, { delay = 3, loop = true } = {}) {
+    const { width, height } = frames[0];
+    const palette = buildGifPalette(frames);
+    const cache = new Int16Array(32768).fill(-1);
+    const writer = new ByteWriter(width * height);
+    
+    writer.string('GIF89a');
+    writer.uint16(width);
+    writer.uint16(height);
+    writer.byte(0xf7);                  // Global colour table, 8 bits, 256 entries
+    writer.byte(0);                     // Background colour index
+    writer.byte(0);                     // Pixel aspect ratio
+    
+    for (let i = 0; i < 256; i++) {
+        const [r, g, b] = palette[i] || [0, 0, 0];
+        writer.byte(r);
+        writer.byte(g);
+        writer.byte(b);
+    }
+    
+    if (loop) {
+        writer.append([0x21, 0xff, 0x0b]);
+        writer.string('NETSCAPE2.0');
+        writer.append([0x03, 0x01]);
+        writer.uint16(0);               // Loop forever
+        writer.byte(0);
+    }
+    
+    frames.forEach(({ data }) => {
+        writer.append([0x21, 0xf9, 0x04]);
+        writer.byte(0x04);              // Disposal: leave in place
+        writer.uint16(delay);
+        writer.byte(0);                 // Transparent index (unused)
+        writer.byte(0);
+        
+        writer.byte(0x2c);              // Image descriptor
+        writer.uint16(0);
+        writer.uint16(0);
+        writer.uint16(width);
+        writer.uint16(height);
+        writer.byte(0);                 // No local colour table
+        
+        writeGifLzw(writer, mapToPalette(data, palette, cache), 8);
+    });
+    
+    writer.byte(0x3b);                  // Trailer
+    return writer.result();
+}
+
+class FrameExporter {
+    constructor(engine) {
+        this.engine = engine;
+    }
+    
+    // Seek to every frame in turn and snapshot the SVG. Synchronous on purpose: nothing
+    // driven by real time (ticker, tweens) can run between two frames.
+    captureFrames(fps) {
+        const engine = this.engine;
+        const previous = engine.timeline ? engine.getPlaybackState() : null;
+        const wasPlaying = engine.isPlaying;
+        const previousRandom = engine.effects.random;
+        
+        engine.pause();
+        
+        if (!engine.timeline) {
+            engine.buildTimeline();
+        }
+        
+        const timeline = engine.timeline;
+        const duration = timeline.duration() / timeline.timeScale();
+        const count = Math.max(2, Math.ceil(duration * fps) + 1);
+        const frames = [];
+        
+        engine.isExporting = true;
+        engine.effects.random = SeededRandom.createStream('export-effects'); // Same trail on every export
+        engine.effects.beginManualClock();
+        
+        try {
+            for (let index = 0; index < count; index++) {
+                engine.seekToProgress(Math.min(1, index / fps / duration));
+                engine.effects.advance(index === 0 ? 0 : 1 / fps);
+                frames.push(this.snapshot(index));
+            }
+        } finally {
+            engine.effects.endManualClock();
+            engine.effects.random = previousRandom;
+            engine.isExporting = false;
+            
+            // Back to where the chart was before the export
+            engine.seekToProgress(previous ? previous.progress : 0);
+            if (wasPlaying) {
+                engine.play();
+            }
+            
+            // Catch up with any performance level change that arrived mid-export
+            engine.applyQuality();
+        }
+        
+        console.log(`🎞️ Captured ${frames.length} frames at ${fps} fps (${duration.toFixed(2)}s)`);
+        return { frames, duration };
+    }
+    
+    getSize() {
+        const engine = this.engine;
+        return {
+            width: engine.width + engine.margin.left + engine.margin.right,
+            height: engine.height + engine.margin.top + engine.margin.bottom
+        };
+    }
+    
+    // The current chart as SVG markup: overlays dropped, ids made unique to the frame
+    snapshot(index) {
+        const engine = this.engine;
+        const { width, height } = this.getSize();
+        
+        engine.backend.flush();
+        
+        const clone = engine.svg.node().cloneNode(true);
+        clone.querySelectorAll('.hover-interaction, title, desc').forEach(node => node.remove());
+        
+        // Hidden callouts and spare particles only add weight (and whatever state they were left in)
+        clone.querySelectorAll('[style]').forEach(node => {
+            if (node.style.display === 'none' || node.style.opacity === '0') {
+                node.remove();
+            }
+        });
+        
+        // Canvas backend: the series live in the canvas, so bake it in under the SVG overlay
+        if (engine.backend.name === 'canvas') {
+            const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+            image.setAttribute('width', width);
+            image.setAttribute('height', height);
+            image.setAttribute('href', engine.backend.canvas.toDataURL('image/png'));
+            clone.insertBefore(image, clone.firstChild);
+        }
+        
+        const ids = new Map();
+        clone.querySelectorAll('[id]').forEach(node => {
+            const id = `f${index}-${ids.size}`;
+            ids.set(node.id, id);
+            node.id = id;
+        });
+        
+        // Point url(#…) and href="#…" references at the renamed ids
+        const rewrite = value => value.replace(/url\(["']?#([^"')]+)["']?\)/g, (match, id) =>
+            ids.has(id) ? `url(#${ids.get(id)})` : match);
+        
+        clone.querySelectorAll('*').forEach(node => {
+            Array.from(node.attributes).forEach(attribute => {
+                if (attribute.value.includes('url(')) {
+                    node.setAttribute(attribute.name, rewrite(attribute.value));
+                } else if (/href$/.test(attribute.name) && attribute.value.startsWith('#') && ids.has(attribute.value.slice(1))) {
+                    node.setAttribute(attribute.name, `#${ids.get(attribute.value.slice(1))}`);
+                }
+            });
+        });
+        
+        const serializer = new XMLSerializer();
+        return Array.from(clone.childNodes)
+            .map(node => serializer.serializeToString(node))
+            .join('');
+    }
+    
+    // Page CSS that applies inside the chart (axes, legend...), so the file stands alone
+    collectStyles() {
+        const svgNode = this.engine.svg.node();
+        const computed = window.getComputedStyle(svgNode);
+        const rules = [`svg { color: ${computed.color};${computed.fontFamily ? ` font-family: ${computed.fontFamily};` : ''} }`];
+        
+        Array.from(document.styleSheets).forEach(sheet => {
+            let cssRules;
+            try {
+                cssRules = sheet.cssRules;
+            } catch (error) {
+                return; // Cross-origin stylesheet
+            }
+            
+            Array.from(cssRules || []).forEach(rule => {
+                if (!rule.selectorText) return;
+                
+                try {
+                    if (svgNode.querySelector(rule.selectorText)) {
+                        rules.push(rule.cssText);
+                    }
+                } catch (error) {
+                    // Selector the engine can't match here (pseudo-elements and the like)
+                }
+            });
+        });
+        
+        return rules.join('\n');
+    }
+    
+    // First opaque background up the tree - PNG and GIF frames need one
+    getBackground() {
+        let node = this.engine.container;
+        
+        while (node && node.nodeType === 1) {
+            const background = window.getComputedStyle(node).backgroundColor;
+            if (background && background !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(background)) {
+                return background;
+            }
+            node = node.parentNode;
+        }
+        
+        return this.engine.theme.background;
+    }
+    
+    wrapSvg(content, extra = '') {
+        const { width, height } = this.getSize();
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<style>${this.collectStyles()}</style>${extra}${content}</svg>`;
+    }
+    
+    // Self-contained animated SVG: one group per frame, switched on and off by SMIL
+    buildAnimatedSvg(frames, duration, loop) {
+        const total = (duration + 1e-3).toFixed(3);
+        const last = frames.length - 1;
+        
+        // Serialized from a real node so names like "R&D <Q1>" come out escaped
+        const titleNode = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        titleNode.textContent = this.engine.accessibility.getTitle();
+        const title = new XMLSerializer().serializeToString(titleNode);
+        
+        const groups = frames.map((frame, index) => {
+            const on = (index / frames.length).toFixed(5);
+            const off = ((index + 1) / frames.length).toFixed(5);
+            
+            let values = 'none;inline;none';
+            let keyTimes = `0;${on};${off}`;
+            if (index === 0) {
+                values = 'inline;none';
+                keyTimes = `0;${off}`;
+            } else if (index === last) {
+                values = 'none;inline';
+                keyTimes = `0;${on}`;
+            }
+            
+            return `<g display="${index === 0 ? 'inline' : 'none'}">` +
+                `<animate attributeName="display" values="${values}" keyTimes="${keyTimes}" dur="${total}s" calcMode="discrete" repeatCount="${loop ? 'indefinite' : '1'}" fill="freeze"/>` +
+                `${frame}</g>`;
+        });
+        
+        return this.wrapSvg(groups.join(''), title);
+    }
+    
+    // Draw one frame's SVG onto a canvas
+    rasterize(markup, scale) {
+        const { width, height } = this.getSize();
+        const background = this.getBackground();
+        
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                
+                const context = canvas.getContext('2d');
+                context.fillStyle = background;
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas);
+            };
+            image.onerror = () => reject(new Error('Could not rasterize an exported frame'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+        });
+    }
+    
+    async exportAnimation({ fps = 30, format = 'svg', scale = 1, loop } = {}) {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Unknown export format "${format}" - use ${EXPORT_FORMATS.join(', ')}`);
+        }
+        if (!(fps > 0)) {
+            throw new Error('Export fps must be a positive number');
+        }
+        
+        const repeat = loop ?? this.engine.animationParams.playback.mode !== 'once';
+        const { frames, duration } = this.captureFrames(fps);
+        
+        if (format === 'svg') {
+            return new Blob([this.buildAnimatedSvg(frames, duration, repeat)], { type: 'image/svg+xml' });
+        }
+        
+        if (format === 'png') {
+            const files = [];
+            const digits = String(frames.length).length;
+            
+            for (let index = 0; index < frames.length; index++) {
+                const canvas = await this.rasterize(this.wrapSvg(frames[index]), scale);
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+                files.push({
+                    name: `frame-${String(index + 1).padStart(Math.max(4, digits), '0')}.png`,
+                    data: new Uint8Array(await blob.arrayBuffer())
+                });
+            }
+            
+            return new Blob([encodeZip(files)], { type: 'application/zip' });
+        }
+        
+        const pixels = [];
+        for (let index = 0; index < frames.length; index++) {
+            const canvas = await this.rasterize(this.wrapSvg(frames[index]), scale);
+            pixels.push({
+                data: canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data,
+                width: canvas.width,
+                height: canvas.height
+            });
+        }
+        
+        return new Blob([encodeGif(pixels, { delay: Math.max(2, Math.round(100 / fps)), loop: repeat })], { type: 'image/gif' });
+    }
+    
+    async download(options = {}) {
+        const format = options.format || 'svg';
+        const blob = await this.exportAnimation(options);
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = `databutter-animation.${format === 'png' ? 'zip' : format}`;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FrameExporter, encodeGif, encodeZip, crc32, EXPORT_FORMATS };
+}
\ No newline at end of file
@@ -0,0 +1,224 @@
+// databutter - Hover Interaction
+// Crosshair, snapped dots and a tooltip read straight from each series' curve lookup
+
+class HoverInteraction {
+    constructor(engine) {
+        this.engine = engine;
+        this.group = null;
+        this.overlay = null;
+        this.crosshair = null;
+        this.dots = null;
+        this.tooltip = null;
+        this.pointerX = null; // Last hovered pixel, so the tooltip can follow a moving edge
+        
+        // The revealed region grows while playing - keep an open tooltip in step with it
+        engine.on('timeupdate', () => this.refresh());
+        engine.on('dataAppended', () => this.refresh());
+        engine.on('reset', () => this.hide());
+    }
+    
+    // Build the overlay for the current chart (after setup or a renderer/backend switch)
+    render() {
+        const engine = this.engine;
+        
+        if (this.group) {
+            this.group.remove();
+        }
+        
+        this.group = engine.chartGroup.append("g").attr("class", "hover-interaction");
+        
+        this.crosshair = this.group.append("line")
+            .attr("class", "hover-crosshair")
+            .attr("y1", 0)
+            .style("stroke", "currentColor")
+            .style("stroke-opacity", 0.4)
+            .style("stroke-dasharray", "3,3")
+            .style("pointer-events", "none")
+            .style("display", "none");
+        
+        this.dots = this.group.append("g")
+            .attr("class", "hover-dots")
+            .style("pointer-events", "none");
+        
+        // Transparent hit area over the plot - the lookup does the rest
+        this.overlay = this.group.append("rect")
+            .attr("class", "hover-overlay")
+            .style("fill", "none")
+            .style("pointer-events", "all")
+            .on("pointermove", event => {
+                this.pointerX = d3.pointer(event, engine.chartGroup.node())[0];
+                this.refresh();
+            })
+            .on("pointerleave", () => this.hide());
+        
+        this.createTooltip();
+        this.resize();
+    }
+    
+    // HTML tooltip positioned over the chart container
+    createTooltip() {
+        const container = this.engine.container;
+        if (!container || this.tooltip) return;
+        
+        if (window.getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+        
+        this.tooltip = d3.select(container).append("div")
+            .attr("class", "chart-tooltip")
+            .attr("role", "status")
+            .style("position", "absolute")
+            .style("pointer-events", "none")
+            .style("display", "none")
+            .style("padding", "8px 10px")
+            .style("border-radius", "6px")
+            .style("font-size", "12px")
+            .style("line-height", "1.5")
+            .style("white-space", "nowrap")
+            .style("z-index", 10);
+        
+        this.applyTheme();
+    }
+    
+    applyTheme() {
+        const { tooltip, background } = this.engine.theme;
+        
+        if (this.tooltip) {
+            this.tooltip
+                .style("background", tooltip.background)
+                .style("color", tooltip.text)
+                .style("border", `1px solid ${tooltip.border}`);
+        }
+        
+        if (this.dots) {
+            this.dots.selectAll("circle")
+                .style("fill", hit => hit.series.color.fill)
+                .style("stroke", background);
+        }
+    }
+    
+    resize() {
+        if (!this.overlay) return;
+        
+        this.overlay
+            .attr("width", this.engine.width)
+            .attr("height", this.engine.height);
+        this.crosshair.attr("y2", this.engine.height);
+        this.refresh();
+    }
+    
+    // The series' own value at a pixel - stacked series subtract whatever they sit on
+    valueAt(series, pixelX) {
+        const entry = this.engine.lookupAt(series, pixelX);
+        const baseline = this.engine.getRenderer().baselineSeries(this.engine, series);
+        const below = baseline ? this.engine.lookupAt(baseline, pixelX) : null;
+        
+        return entry.dataY - (below ? below.dataY : 0);
+    }
+    
+    // Redraw for the last pointer position: O(1) lookup per series, revealed part only
+    refresh() {
+        const engine = this.engine;
+        if (this.pointerX === null || !this.overlay || !engine.animationParams.interaction.hover) return;
+        
+        const pixelX = Math.round(Math.max(0, Math.min(engine.width, this.pointerX)));
+        
+        const hits = engine.series
+            .filter(series => series.curveLookup && series.reveal.progress > 0 && pixelX <= series.currentClipX)
+            .map(series => ({
+                series: series,
+                entry: engine.lookupAt(series, pixelX),
+                value: this.valueAt(series, pixelX)
+            }))
+            .filter(hit => hit.entry);
+        
+        if (!hits.length) {
+            this.hideMarkers();
+            return;
+        }
+        
+        this.crosshair
+            .attr("x1", pixelX)
+            .attr("x2", pixelX)
+            .style("display", null);
+        
+        this.dots.selectAll("circle")
+            .data(hits, hit => hit.series.key)
+            .join("circle")
+            .attr("r", 4)
+            .attr("cx", pixelX)
+            .attr("cy", hit => hit.entry.pixelY)
+            .style("fill", hit => hit.series.color.fill)
+            .style("stroke", engine.theme.background)
+            .style("stroke-width", 1.5);
+        
+        this.showTooltip(pixelX, hits);
+    }
+    
+    showTooltip(pixelX, hits) {
+        if (!this.tooltip) return;
+        
+        const engine = this.engine;
+        const svgNode = engine.svg.node();
+        
+        // Built node by node - series names can come straight from an imported file's headers
+        this.tooltip.selectAll("*").remove();
+        this.tooltip.append("div")
+            .style("opacity", 0.7)
+            .text(engine.formatter.x(hits[0].entry.dataX));
+        
+        hits.forEach(({ series, value }) => {
+            const row = this.tooltip.append("div");
+            row.append("span")
+                .style("display", "inline-block")
+                .style("width", "8px")
+                .style("height", "8px")
+                .style("border-radius", "2px")
+                .style("margin-right", "6px")
+                .style("background", series.color.fill);
+            row.append("span").text(`${series.name}: `);
+            row.append("strong").text(engine.formatter.value(value));
+        });
+        
+        this.tooltip.style("display", "block");
+        
+        // Sit beside the crosshair, flipping to the left near the right edge
+        const left = svgNode.offsetLeft + engine.margin.left + pixelX;
+        const flip = pixelX > engine.width * 0.65;
+        
+        this.tooltip
+            .style("left", `${left + (flip ? -12 : 12)}px`)
+            .style("top", `${svgNode.offsetTop + engine.margin.top + 8}px`)
+            .style("transform", flip ? "translateX(-100%)" : null);
+    }
+    
+    hideMarkers() {
+        if (this.crosshair) {
+            this.crosshair.style("display", "none");
+        }
+        if (this.dots) {
+            this.dots.selectAll("circle").remove();
+        }
+        if (this.tooltip) {
+            this.tooltip.style("display", "none");
+        }
+    }
+    
+    hide() {
+        this.pointerX = null;
+        this.hideMarkers();
+    }
+    
+    destroy() {
+        this.hide();
+        if (this.tooltip) {
+            this.tooltip.remove();
+            this.tooltip = null;
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HoverInteraction };
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+// databutter - Mock Stream Server
+// Local NDJSON feed for trying out streaming: node mock-stream-server.js [port] [intervalMs]
+//   ws://localhost:8787/stream    WebSocket, one JSON row per message
+//   http://localhost:8787/stream  EventSource (text/event-stream)
+//   http://localhost:8787/        the demo page, served from this folder so the feed is same-origin
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createSeededRandom } = require('./random.js');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const INTERVAL = Number(process.argv[3] || process.env.INTERVAL || 500);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.csv': 'text/csv'
+};
+
+// Random-walk ops metrics, one row per tick, shared by every client
+const random = createSeededRandom(Number(process.env.SEED || 1));
+const clients = new Set(); // (line) => void
+let day = 0;
+let requests = 1200;
+let errors = 40;
+
+function nextRow() {
+    day++;
+    requests = Math.max(200, requests + (random() - 0.48) * 160);
+    errors = Math.max(0, errors + (random() - 0.5) * 12 + (random() < 0.05 ? 60 : 0));
+    errors *= 0.9;
+    
+    return { day, requests: Math.round(requests), errors: Math.round(errors) };
+}
+
+setInterval(() => {
+    const line = JSON.stringify(nextRow());
+    clients.forEach(send => send(line));
+}, INTERVAL);
+
+// Server → client text frame (unmasked, never fragmented)
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    
+    return Buffer.concat([header, payload]);
+}
+
+function serveEventStream(request, response) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.write('retry: 2000\n\n');
+    
+    const send = line => response.write(`data: ${line}\n\n`);
+    clients.add(send);
+    console.log(`📡 EventSource client connected (${clients.size} total)`);
+    
+    request.on('close', () => {
+        clients.delete(send);
+        console.log(`📡 EventSource client left (${clients.size} total)`);
+    });
+}
+
+function serveStatic(request, response) {
+    const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const file = path.join(__dirname, pathname === '/' ? 'index.html' : pathname);
+    
+    // Nothing outside this folder
+    if (!file.startsWith(__dirname + path.sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+    
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(content);
+    });
+}
+
+const server = http.createServer((request, response) => {
+    if (request.url.startsWith('/stream')) {
+        serveEventStream(request, response);
+    } else {
+        serveStatic(request, response);
+    }
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!request.url.startsWith('/stream') || !key) {
+        socket.destroy();
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    const send = line => socket.write(encodeFrame(line));
+    clients.add(send);
+    console.log(`📡 WebSocket client connected (${clients.size} total)`);
+    
+    // The client only ever talks to close the connection
+    socket.on('data', data => {
+        if ((data[0] & 0x0f) === 0x8) {
+            socket.end(Buffer.from([0x88, 0]));
+        }
+    });
+    socket.on('close', () => {
+        clients.delete(send);
+        console.log(`📡 WebSocket client left (${clients.size} total)`);
+    });
+    socket.on('error', () => clients.delete(send));
+});
+
+server.listen(PORT, () => {
+    console.log(`🧈 Mock stream on http://localhost:${PORT}/ - ws://localhost:${PORT}/stream or /stream (SSE), a row every ${INTERVAL}ms`);
+});
\ No newline at end of file
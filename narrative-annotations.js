@@ -0,0 +1,161 @@
+// databutter - Narrative Annotations
+// Callouts for dataStory narrative beats, popped in as the leading edge reaches each one
+
+class NarrativeAnnotations {
+    constructor(engine) {
+        this.engine = engine;
+        this.group = null;
+        this.states = []; // { series, beat, x, y, element, shown }
+    }
+    
+    // Beats configured for a series (animationParams.annotations.beats[series.key])
+    beatsFor(series) {
+        const { annotations } = this.engine.animationParams;
+        return (annotations.beats && annotations.beats[series.key]) || [];
+    }
+    
+    // 'viral-moment' → 'Viral moment'
+    formatMoment(moment) {
+        const words = String(moment).replace(/[-_]+/g, ' ').trim();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+    
+    // Rebuild every callout from the current scales (after setup, resize or a data change)
+    render() {
+        const engine = this.engine;
+        
+        if (this.group) {
+            this.group.remove();
+        }
+        
+        this.states = [];
+        this.group = engine.chartGroup.append("g")
+            .attr("class", "narrative-annotations")
+            .style("pointer-events", "none");
+        
+        if (!engine.animationParams.annotations.enabled) return;
+        
+        engine.series.forEach(series => {
+            this.beatsFor(series).forEach(beat => {
+                const x = engine.xScale(beat.day);
+                if (!Number.isFinite(x) || x < 0 || x > engine.width) return;
+                
+                // Anchor on the drawn top edge, but label the series' own value (matters when stacked)
+                const y = engine.yScale(series.curveIndex.valueAt(beat.day));
+                const point = series.rawData.find(d => d.day === beat.day);
+                const value = point ? point.value : series.curveIndex.valueAt(beat.day);
+                
+                // Stack labels per series so beats on the same day don't collide
+                const labelOffset = 26 + series.index * 30;
+                const above = y - labelOffset > 12;
+                const labelY = above ? -labelOffset : labelOffset;
+                const anchor = x > engine.width - 80 ? "end" : (x < 80 ? "start" : "middle");
+                
+                // Outer group positions the callout, inner group is what GSAP animates
+                const outer = this.group.append("g")
+                    .attr("class", `narrative-beat beat-${beat.moment} year-${series.index + 1}-beat`)
+                    .attr("transform", `translate(${x},${y})`);
+                
+                const element = outer.append("g").style("opacity", 0);
+                
+                element.append("line")
+                    .attr("class", "beat-line")
+                    .attr("x1", 0)
+                    .attr("y1", 0)
+                    .attr("x2", 0)
+                    .attr("y2", labelY + (above ? 14 : -14))
+                    .style("stroke", series.color.stroke)
+                    .style("stroke-width", 1)
+                    .style("stroke-dasharray", "2,2");
+                
+                element.append("circle")
+                    .attr("class", "beat-marker")
+                    .attr("r", 4.5)
+                    .style("fill", engine.theme.annotation.marker)
+                    .style("stroke", series.color.stroke)
+                    .style("stroke-width", 2);
+                
+                element.append("text")
+                    .attr("class", "beat-label")
+                    .attr("y", labelY)
+                    .attr("text-anchor", anchor)
+                    .style("font-size", "12px")
+                    .style("font-weight", 600)
+                    .style("fill", series.color.fill)
+                    .text(beat.label || this.formatMoment(beat.moment));
+                
+                element.append("text")
+                    .attr("class", "beat-text")
+                    .attr("y", labelY + 13)
+                    .attr("text-anchor", anchor)
+                    .style("font-size", "10px")
+                    .style("fill", "currentColor")
+                    .style("opacity", 0.8)
+                    .text(beat.text || `${engine.formatter.x(beat.day)} · ${engine.formatter.value(value)}`);
+                
+                this.states.push({ series, beat, x, y, element, shown: false });
+            });
+        });
+        
+        // Callouts the edge has already passed show straight away
+        engine.series.forEach(series => this.update(series, { animate: false }));
+    }
+    
+    // Show or hide a series' callouts to match its clip edge
+    update(series, { animate = true } = {}) {
+        this.states.forEach(state => {
+            if (state.series !== series) return;
+            
+            const reached = series.reveal.progress > 0 && series.currentClipX >= state.x - 0.5;
+            
+            if (reached && !state.shown) {
+                state.shown = true;
+                
+                // Frame export can't wait on a real-time pop, so callouts snap in
+                if (animate && !this.engine.isReducedMotion() && !this.engine.isExporting) {
+                    gsap.fromTo(state.element.node(),
+                        { opacity: 0, y: 8, scale: 0.6, transformOrigin: "50% 100%" },
+                        { opacity: 1, y: 0, scale: 1, duration: 0.35, ease: "back.out(2)" }
+                    );
+                } else {
+                    gsap.set(state.element.node(), { opacity: 1, y: 0, scale: 1, transformOrigin: "50% 100%" });
+                }
+                
+                // Only beats reached by the playing edge count - not ones restored after a redraw
+                if (animate) {
+                    this.engine.handleBeat(series, state.beat);
+                }
+            } else if (!reached && state.shown) {
+                state.shown = false;
+                gsap.killTweensOf(state.element.node());
+                gsap.set(state.element.node(), { opacity: 0 });
+            }
+        });
+    }
+    
+    // Recolor the callouts in place after a theme change
+    applyTheme() {
+        const { annotation } = this.engine.theme;
+        
+        this.states.forEach(({ series, element }) => {
+            element.select(".beat-line").style("stroke", series.color.stroke);
+            element.select(".beat-marker")
+                .style("fill", annotation.marker)
+                .style("stroke", series.color.stroke);
+            element.select(".beat-label").style("fill", series.color.fill);
+        });
+    }
+    
+    hideAll() {
+        this.states.forEach(state => {
+            state.shown = false;
+            gsap.killTweensOf(state.element.node());
+            gsap.set(state.element.node(), { opacity: 0 });
+        });
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NarrativeAnnotations };
+}
\ No newline at end of file
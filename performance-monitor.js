@@ -1,32 +1,70 @@
 // databutter - Buttery Performance Monitor
 // FPS tracking and adaptive scaling for buttery smooth experiences
 
+const PERFORMANCE_LEVELS = ['high', 'medium', 'low'];
+
 class ButteryPerformanceMonitor {
-    constructor() {
+    // options: windowSize (frames kept for percentiles), frameBudget (ms per frame at the target rate),
+    // thresholds (FPS to enter a lower level / to climb back out of it), confirmTime (ms a reading must
+    // hold before it counts, down / up) and minDwell (ms a level is kept before it may change again)
+    constructor(options = {}) {
+        // Nested options merge field by field, so { thresholds: { low: {...} } } keeps medium's defaults
+        const { thresholds = {}, confirmTime = {}, ...rest } = options;
+        this.options = {
+            windowSize: 120,        // ~2s at 60fps
+            frameBudget: 1000 / 60,
+            maxFrameGap: 1000,      // Longer gaps are a hidden tab or a breakpoint, not jank
+            minDwell: 2000,
+            ...rest,
+            thresholds: {
+                medium: { enter: 48, exit: 55, ...thresholds.medium },
+                low: { enter: 28, exit: 35, ...thresholds.low }
+            },
+            confirmTime: { down: 500, up: 2000, ...confirmTime } // Drop quickly, recover cautiously
+        };
+        
         this.fps = 60;
-        this.frameCount = 0;
-        this.lastTime = performance.now();
         this.performanceLevel = 'high';
         this.monitoring = true;
         this.callbacks = [];
         
+        // Rolling window of frame times (ms), as a ring buffer with a running sum
+        this.frameTimes = new Float64Array(this.options.windowSize);
+        this.frameIndex = 0;
+        this.frameSamples = 0;
+        this.frameTimeSum = 0;
+        this.lastFrameTime = null;
+        this.droppedFrames = 0;      // Since the monitor started
+        this.windowDroppedFrames = new Uint16Array(this.options.windowSize); // Per sample, to count the window
+        this.windowDroppedTotal = 0;
+        
+        // Hysteresis state: when the current level began, and a different reading waiting to be confirmed
+        this.levelSince = performance.now();
+        this.pendingLevel = null;
+        this.pendingSince = 0;
+        this.lastChange = null;
+        this.levelHistory = [];      // Last few changes, newest last
+        this.lastReport = performance.now();
+        
+        this.longTasks = { supported: false, count: 0, totalDuration: 0, recent: [] };
+        this.longTaskObserver = null;
+        
+        this.observeLongTasks();
         this.startMonitoring();
         console.log('📊 Buttery performance monitoring started');
     }
     
     startMonitoring() {
-        const tick = () => {
+        const tick = now => {
             if (!this.monitoring) return;
             
-            this.frameCount++;
-            const currentTime = performance.now();
+            this.recordFrame(now);
+            
+            // Level decisions track every frame; FPS readouts and callbacks stay once a second
+            this.updatePerformanceLevel(now);
             
-            if (currentTime - this.lastTime >= 1000) {
-                this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastTime));
-                this.frameCount = 0;
-                this.lastTime = currentTime;
-                
-                this.updatePerformanceLevel();
+            if (now - this.lastReport >= 1000) {
+                this.lastReport = now;
                 this.notifyCallbacks();
                 this.updateUI();
             }
@@ -34,46 +72,165 @@ class ButteryPerformanceMonitor {
             requestAnimationFrame(tick);
         };
         
+        this.lastFrameTime = null;
         requestAnimationFrame(tick);
     }
     
-    updatePerformanceLevel() {
-        const previousLevel = this.performanceLevel;
+    recordFrame(now) {
+        const previous = this.lastFrameTime;
+        this.lastFrameTime = now;
+        
+        if (previous === null) return;
+        
+        const frameTime = now - previous;
+        if (frameTime <= 0 || frameTime > this.options.maxFrameGap) return;
+        
+        // A 50ms frame at a 16.7ms budget means two frames never made it to the screen
+        const dropped = Math.max(0, Math.round(frameTime / this.options.frameBudget) - 1);
+        const slot = this.frameIndex;
         
-        if (this.fps < 30) {
-            this.performanceLevel = 'low';
-        } else if (this.fps < 50) {
-            this.performanceLevel = 'medium';
+        if (this.frameSamples === this.frameTimes.length) {
+            this.frameTimeSum -= this.frameTimes[slot];
+            this.windowDroppedTotal -= this.windowDroppedFrames[slot];
         } else {
-            this.performanceLevel = 'high';
+            this.frameSamples++;
         }
         
-        if (previousLevel !== this.performanceLevel) {
-            console.log(`📈 Performance: ${previousLevel} → ${this.performanceLevel} (${this.fps} FPS)`);
-            this.adaptForPerformance();
+        this.frameTimes[slot] = frameTime;
+        this.windowDroppedFrames[slot] = dropped;
+        this.frameTimeSum += frameTime;
+        this.windowDroppedTotal += dropped;
+        this.droppedFrames += dropped;
+        this.frameIndex = (slot + 1) % this.frameTimes.length;
+        
+        this.fps = Math.round(1000 / (this.frameTimeSum / this.frameSamples));
+    }
+    
+    // Frame-time percentiles over the rolling window (nearest rank), in ms
+    getFrameTimeStats() {
+        if (!this.frameSamples) {
+            return { samples: 0, mean: null, p50: null, p95: null, p99: null, max: null, histogram: [] };
         }
+        
+        const sorted = Array.from(this.frameTimes.subarray(0, this.frameSamples)).sort((a, b) => a - b);
+        const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+        const round = value => Math.round(value * 10) / 10;
+        
+        // Histogram in frame budgets, counted the same way as dropped frames: on time, one late, two, three or more
+        const budget = this.options.frameBudget;
+        const histogram = [1, 2, 3, 4].map(frames => ({
+            label: frames < 4 ? `~${round(budget * frames)}ms` : `≥${round(budget * 4)}ms`,
+            count: 0
+        }));
+        sorted.forEach(time => {
+            histogram[Math.min(3, Math.max(0, Math.round(time / budget) - 1))].count++;
+        });
+        
+        return {
+            samples: this.frameSamples,
+            mean: round(this.frameTimeSum / this.frameSamples),
+            p50: round(percentile(0.5)),
+            p95: round(percentile(0.95)),
+            p99: round(percentile(0.99)),
+            max: round(sorted[sorted.length - 1]),
+            histogram
+        };
+    }
+    
+    // Long tasks (>50ms on the main thread) explain jank the frame times only show the effect of
+    observeLongTasks() {
+        if (typeof PerformanceObserver === 'undefined' ||
+            !(PerformanceObserver.supportedEntryTypes || []).includes('longtask')) {
+            return;
+        }
+        
+        this.longTasks.supported = true;
+        this.longTaskObserver = new PerformanceObserver(list => {
+            list.getEntries().forEach(entry => {
+                this.longTasks.count++;
+                this.longTasks.totalDuration += entry.duration;
+                this.longTasks.recent.push({ start: Math.round(entry.startTime), duration: Math.round(entry.duration) });
+            });
+            this.longTasks.recent = this.longTasks.recent.slice(-10);
+        });
+        this.longTaskObserver.observe({ entryTypes: ['longtask'] });
     }
     
+    // The level the current FPS points to, seen from the current level: each boundary has an
+    // enter and an exit threshold, so a reading hovering around one line doesn't flip-flop
+    getTargetLevel() {
+        const { medium, low } = this.options.thresholds;
+        const fps = this.fps;
+        
+        switch (this.performanceLevel) {
+            case 'low':
+                if (fps >= medium.exit) return 'high';
+                return fps >= low.exit ? 'medium' : 'low';
+            case 'medium':
+                if (fps < low.enter) return 'low';
+                return fps >= medium.exit ? 'high' : 'medium';
+            default:
+                if (fps < low.enter) return 'low';
+                return fps < medium.enter ? 'medium' : 'high';
+        }
+    }
+    
+    updatePerformanceLevel(now = performance.now()) {
+        const target = this.getTargetLevel();
+        
+        if (target === this.performanceLevel) {
+            this.pendingLevel = null;
+            return;
+        }
+        
+        // A new reading starts its confirmation clock
+        if (target !== this.pendingLevel) {
+            this.pendingLevel = target;
+            this.pendingSince = now;
+        }
+        
+        const worse = PERFORMANCE_LEVELS.indexOf(target) > PERFORMANCE_LEVELS.indexOf(this.performanceLevel);
+        const confirmTime = worse ? this.options.confirmTime.down : this.options.confirmTime.up;
+        
+        if (now - this.pendingSince < confirmTime || now - this.levelSince < this.options.minDwell) return;
+        
+        const previousLevel = this.performanceLevel;
+        const frameTimes = this.getFrameTimeStats();
+        const { thresholds } = this.options;
+        // The line actually crossed: entering the new level, or leaving the one just below it
+        // (low → high is medium's exit, not low's)
+        const boundary = worse
+            ? `below ${thresholds[target].enter}`
+            : `at or above ${thresholds[PERFORMANCE_LEVELS[PERFORMANCE_LEVELS.indexOf(target) + 1]].exit}`;
+        
+        this.performanceLevel = target;
+        this.levelSince = now;
+        this.pendingLevel = null;
+        this.lastChange = {
+            from: previousLevel,
+            to: target,
+            at: Math.round(now),
+            fps: this.fps,
+            p95: frameTimes.p95,
+            droppedFrames: this.windowDroppedTotal,
+            reason: `${this.fps} FPS ${boundary} for ${Math.round(now - this.pendingSince)}ms ` +
+                `(p95 ${frameTimes.p95}ms, ${this.windowDroppedTotal} frames dropped in the window)`
+        };
+        this.levelHistory = [...this.levelHistory, this.lastChange].slice(-10);
+        
+        console.log(`📈 Performance: ${previousLevel} → ${target} - ${this.lastChange.reason}`);
+        this.adaptForPerformance();
+    }
+    
+    // One monitor per page: every registered engine hears about the new level and adapts itself
     adaptForPerformance() {
-        // Simple adaptation for current system
-        if (this.performanceLevel === 'low' && window.animationEngine) {
-            console.log('🛡️ Reducing animation duration for better performance');
-            
-            const engine = window.animationEngine;
-            if (engine.animationParams) {
-                // Reduce duration when performance is poor
-                engine.animationParams.drawingDuration = Math.min(
-                    engine.animationParams.drawingDuration, 
-                    1.5
-                );
-                
-                // Reduce leading edge bulge complexity
-                engine.animationParams.leadingEdgeBulge = Math.min(
-                    engine.animationParams.leadingEdgeBulge,
-                    0.1
-                );
-            }
-            
+        const constraints = this.getComplexityConstraints();
+        
+        if (typeof EngineRegistry !== 'undefined') {
+            EngineRegistry.forEach(engine => engine.adaptToPerformance(this.performanceLevel, constraints));
+        }
+        
+        if (this.performanceLevel === 'low') {
             this.showPerformanceWarning();
         }
     }
@@ -99,13 +256,13 @@ class ButteryPerformanceMonitor {
         if (fpsDisplay) {
             fpsDisplay.textContent = this.fps;
             
-            // Color-code FPS display
+            // Color-code FPS display with the page theme's status colors
             if (this.fps >= 50) {
-                fpsDisplay.style.color = '#27ae60'; // Green
+                fpsDisplay.style.color = 'var(--success-color)';
             } else if (this.fps >= 30) {
-                fpsDisplay.style.color = '#f39c12'; // Yellow
+                fpsDisplay.style.color = 'var(--warning-color)';
             } else {
-                fpsDisplay.style.color = '#e74c3c'; // Red
+                fpsDisplay.style.color = 'var(--danger-color)';
             }
         }
         
@@ -115,18 +272,18 @@ class ButteryPerformanceMonitor {
         }
     }
     
-    // Future-ready: Performance constraints for complex features
+    // What each level allows: edge effect density, curve lookup resolution and drawn points (see engine.applyQuality)
     getComplexityConstraints() {
         const constraints = {
             high: {
                 maxWaveComplexity: 1.0,      // Full wave detail
                 curveSmoothing: 8,           // Look ahead 8 pixels
-                maxLookupDensity: 1,         // Every pixel
+                maxLookupDensity: 1,         // Every pixel, one drawn point per pixel
                 allowParticleEffects: true
             },
             medium: {
                 maxWaveComplexity: 0.7,      // Reduced wave detail
-                curveSmoothing: 4,           // Look ahead 4 pixels  
+                curveSmoothing: 4,           // Look ahead 4 pixels
                 maxLookupDensity: 0.5,       // Every 2 pixels
                 allowParticleEffects: true
             },
@@ -156,22 +313,52 @@ class ButteryPerformanceMonitor {
         });
     }
     
-    // Diagnostic info
+    // Diagnostic info - everything the debug panel needs to show why the level is what it is
     getMetrics() {
+        const now = performance.now();
+        
         return {
             currentFPS: this.fps,
             performanceLevel: this.performanceLevel,
-            constraints: this.getComplexityConstraints()
+            constraints: this.getComplexityConstraints(),
+            frameTimes: this.getFrameTimeStats(),
+            droppedFrames: {
+                window: this.windowDroppedTotal,
+                total: this.droppedFrames
+            },
+            longTasks: {
+                supported: this.longTasks.supported,
+                count: this.longTasks.count,
+                totalDuration: Math.round(this.longTasks.totalDuration),
+                recent: this.longTasks.recent.slice()
+            },
+            level: {
+                since: Math.round(now - this.levelSince), // ms at the current level
+                pending: this.pendingLevel
+                    ? { level: this.pendingLevel, for: Math.round(now - this.pendingSince) }
+                    : null,
+                thresholds: this.options.thresholds,
+                lastChange: this.lastChange,
+                history: this.levelHistory.slice()
+            }
         };
     }
     
     stop() {
         this.monitoring = false;
+        
+        if (this.longTaskObserver) {
+            this.longTaskObserver.disconnect();
+        }
     }
     
     start() {
         if (!this.monitoring) {
             this.monitoring = true;
+            
+            if (this.longTaskObserver) {
+                this.longTaskObserver.observe({ entryTypes: ['longtask'] });
+            }
             this.startMonitoring();
         }
     }
@@ -0,0 +1,204 @@
+// databutter - Frame Profiler
+// Times each phase of a reveal frame and each setup step, summarised next to the monitor's FPS
+// and exported as Chrome trace-event JSON (chrome://tracing, Perfetto, DevTools "Load profile")
+
+class FrameProfiler {
+    // options: name (thread name in the trace - the engine id), maxEvents (oldest are dropped past it)
+    constructor(options = {}) {
+        this.options = {
+            name: 'databutter',
+            maxEvents: 50000,
+            ...options
+        };
+        
+        this.recording = false;
+        this.events = [];      // { name, category, start, duration, args } - ms on the performance.now() clock
+        this.eventHead = 0;    // Once events is full it's a ring: the oldest slot, overwritten next
+        this.counters = [];    // Monitor FPS samples taken while recording
+        this.startedAt = null;
+        this.stoppedAt = null;
+        this.dropped = 0;
+        this.lastCounterAt = -Infinity;
+    }
+    
+    start() {
+        this.events = [];
+        this.eventHead = 0;
+        this.counters = [];
+        this.dropped = 0;
+        this.lastCounterAt = -Infinity;
+        this.startedAt = performance.now();
+        this.stoppedAt = null;
+        this.recording = true;
+        
+        console.log(`⏱️ Profiling ${this.options.name}...`);
+    }
+    
+    stop() {
+        if (!this.recording) return this.getSummary();
+        
+        this.recording = false;
+        this.stoppedAt = performance.now();
+        
+        const summary = this.getSummary();
+        console.log(`⏱️ Profiled ${summary.frames} frames over ${summary.duration}ms (${this.events.length} events)`);
+        return summary;
+    }
+    
+    // Time fn as one named phase and return its result. Categories: 'frame' (one per series per frame),
+    // 'phase' (work inside a frame) and 'setup'. Calls nest. Not recording, it's a plain call
+    measure(name, fn, category = 'phase', args = null) {
+        if (!this.recording) return fn();
+        
+        const start = performance.now();
+        
+        try {
+            return fn();
+        } finally {
+            this.record(name, category, start, performance.now() - start, args);
+        }
+    }
+    
+    // measure() for code that isn't one function: pass begin()'s token to end(). Null when not recording
+    begin(name, category = 'setup', args = null) {
+        if (!this.recording) return null;
+        
+        return { name, category, args, start: performance.now() };
+    }
+    
+    end(token) {
+        if (!token) return;
+        
+        this.record(token.name, token.category, token.start, performance.now() - token.start, token.args);
+    }
+    
+    record(name, category, start, duration, args = null) {
+        const event = { name, category, start, duration, args };
+        
+        if (this.events.length < this.options.maxEvents) {
+            this.events.push(event);
+        } else {
+            this.events[this.eventHead] = event;
+            this.eventHead = (this.eventHead + 1) % this.events.length;
+            this.dropped++;
+        }
+        
+        // Once a second, what the shared monitor measured - the phases read against the frame rate
+        const monitor = typeof window !== 'undefined' ? window.performanceMonitor : null;
+        if (monitor && start - this.lastCounterAt >= 1000) {
+            this.lastCounterAt = start;
+            this.counters.push({ time: start, fps: monitor.fps, level: monitor.performanceLevel });
+        }
+    }
+    
+    // Recorded events, oldest first
+    getEvents() {
+        return this.eventHead
+            ? this.events.slice(this.eventHead).concat(this.events.slice(0, this.eventHead))
+            : this.events;
+    }
+    
+    // Per phase: count, total, mean, p95 and max (ms), biggest total first
+    getSummary() {
+        const end = this.recording ? performance.now() : this.stoppedAt;
+        const duration = this.startedAt === null ? 0 : end - this.startedAt;
+        const round = value => Math.round(value * 1000) / 1000;
+        const byName = new Map();
+        
+        this.events.forEach(event => {
+            if (!byName.has(event.name)) {
+                byName.set(event.name, { name: event.name, category: event.category, durations: [] });
+            }
+            byName.get(event.name).durations.push(event.duration);
+        });
+        
+        const phases = Array.from(byName.values())
+            .map(({ name, category, durations }) => {
+                const sorted = durations.slice().sort((a, b) => a - b);
+                const total = d3.sum(sorted);
+                
+                return {
+                    name,
+                    category,
+                    count: sorted.length,
+                    total: round(total),
+                    mean: round(total / sorted.length),
+                    p95: round(sorted[Math.min(sorted.length - 1, Math.ceil(0.95 * sorted.length) - 1)]),
+                    max: round(sorted[sorted.length - 1])
+                };
+            })
+            .sort((a, b) => b.total - a.total);
+        
+        const frames = this.events.filter(event => event.category === 'frame').length;
+        const fps = this.counters.map(counter => counter.fps);
+        
+        return {
+            name: this.options.name,
+            recording: this.recording,
+            duration: Math.round(duration),
+            frames,
+            fps: fps.length ? { mean: Math.round(d3.mean(fps)), min: d3.min(fps), max: d3.max(fps) } : null,
+            droppedEvents: this.dropped,
+            phases
+        };
+    }
+    
+    // Trace Event Format: complete ('X') events in µs, FPS as a counter track, names as metadata
+    toTraceEvents() {
+        const origin = this.startedAt ?? 0;
+        const micros = ms => Math.round((ms - origin) * 1000);
+        const pid = 1;
+        const tid = 1;
+        
+        const traceEvents = [
+            { name: 'process_name', ph: 'M', pid, tid, args: { name: 'databutter' } },
+            { name: 'thread_name', ph: 'M', pid, tid, args: { name: this.options.name } },
+            ...this.getEvents().map(event => ({
+                name: event.name,
+                cat: event.category,
+                ph: 'X',
+                ts: micros(event.start),
+                dur: Math.max(1, Math.round(event.duration * 1000)),
+                pid,
+                tid,
+                ...(event.args ? { args: event.args } : {})
+            })),
+            ...this.counters.map(counter => ({
+                name: 'FPS',
+                ph: 'C',
+                ts: micros(counter.time),
+                pid,
+                args: { fps: counter.fps }
+            }))
+        ];
+        
+        // Viewers want parents before the children they contain
+        traceEvents.sort((a, b) => (a.ts ?? -1) - (b.ts ?? -1) || (b.dur || 0) - (a.dur || 0));
+        
+        return {
+            traceEvents,
+            displayTimeUnit: 'ms',
+            metadata: { summary: this.getSummary() }
+        };
+    }
+    
+    toBlob() {
+        return new Blob([JSON.stringify(this.toTraceEvents())], { type: 'application/json' });
+    }
+    
+    download(filename = `databutter-trace-${this.options.name}.json`) {
+        const url = URL.createObjectURL(this.toBlob());
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FrameProfiler };
+}
\ No newline at end of file
@@ -0,0 +1,74 @@
+// databutter - Seeded Randomness
+// One seed behind every random path (data, timing wobble, particles) so a chart can be reproduced and shared
+
+// mulberry32: tiny, fast and good enough for visuals - not for anything secret
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a, to give each named stream its own seed
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+const SeededRandom = {
+    seed: 0,
+    streams: new Map(), // name → generator, until the seed changes
+    
+    // The one place real entropy comes in
+    newSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0] % 100000;
+        }
+        return Math.floor(Math.random() * 100000);
+    },
+    
+    setSeed(seed) {
+        const value = Number(seed);
+        if (!Number.isFinite(value)) {
+            console.warn(`⚠️ Ignoring invalid seed "${seed}"`);
+            return this.seed;
+        }
+        
+        this.seed = Math.floor(Math.abs(value)) >>> 0;
+        this.streams.clear();
+        console.log(`🌱 Random seed: ${this.seed}`);
+        return this.seed;
+    },
+    
+    // A fresh generator for (seed, name): the same sequence every time it's asked for
+    createStream(name) {
+        return createSeededRandom(hashString(`${this.seed}:${name}`));
+    },
+    
+    // A generator that carries on where it left off, until the seed changes
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, this.createStream(name));
+        }
+        return this.streams.get(name);
+    },
+    
+    random(name = 'default') {
+        return this.stream(name)();
+    }
+};
+
+SeededRandom.setSeed(SeededRandom.newSeed());
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, createSeededRandom, hashString };
+}
\ No newline at end of file
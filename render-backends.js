@@ -0,0 +1,300 @@
+// databutter - Render Backends
+// Where series shapes end up: SVG paths with clipPaths, or one Canvas 2D layer for dense pages
+
+const EMPTY_CLIP = "M0,0 L0,0 L0,0 Z";
+
+// Backends share this contract; the engine and renderers only ever talk to it:
+//   setup() / resize() / destroy()
+//   createSeries(series, style)         → style: { className, fill, stroke, strokeWidth, fillOpacity, gradient }
+//   setColors(series, style)            → fill, stroke, fillOpacity and gradient ({ topOpacity, bottomOpacity } or null)
+//   setPath(series, d) / setClip(series, d)
+//   setTransform(series, transform)     → { translateY, scaleY } or null
+//   setStrokeWidth(series, width) / setOpacity(series, opacity) / removeSeries(series) / flush()
+class SvgRenderBackend {
+    constructor(engine) {
+        this.engine = engine;
+        this.name = 'svg';
+    }
+    
+    setup() {}
+    
+    createSeries(series, style) {
+        const engine = this.engine;
+        
+        series.path = engine.layersGroup
+            .append("path")
+            .attr("class", style.className)
+            .style("stroke-width", `${style.strokeWidth}px`);
+        
+        series.fillGradient = null;
+        this.setColors(series, style);
+        
+        // Create clip path definition
+        const clipId = engine.nextDomId(`clip-${series.index}`);
+        
+        series.clipPath = engine.defs.append("clipPath")
+            .attr("id", clipId);
+        
+        // Start with an empty clip path
+        series.clipPathElement = series.clipPath.append("path")
+            .attr("d", EMPTY_CLIP);
+        
+        // Apply clipping to the series path
+        series.path.attr("clip-path", `url(#${clipId})`);
+    }
+    
+    // A gradient fill fades the series color from the top of the plot down to the baseline
+    setColors(series, style) {
+        let fill = style.fill;
+        
+        if (style.gradient && style.fill !== "none") {
+            if (!series.fillGradient) {
+                series.fillGradient = this.engine.defs.append("linearGradient")
+                    .attr("id", this.engine.nextDomId(`fill-${series.index}`))
+                    .attr("class", "series-fill-gradient")
+                    .attr("gradientUnits", "userSpaceOnUse")
+                    .attr("x1", 0)
+                    .attr("x2", 0)
+                    .attr("y1", 0)
+                    .attr("y2", this.engine.height);
+                series.fillGradient.append("stop").attr("offset", "0%");
+                series.fillGradient.append("stop").attr("offset", "100%");
+            }
+            
+            series.fillGradient.selectAll("stop")
+                .attr("stop-color", style.fill)
+                .attr("stop-opacity", (d, i) => i === 0 ? style.gradient.topOpacity : style.gradient.bottomOpacity);
+            fill = `url(#${series.fillGradient.attr("id")})`;
+        } else if (series.fillGradient) {
+            series.fillGradient.remove();
+            series.fillGradient = null;
+        }
+        
+        series.path
+            .style("fill", fill)
+            .style("stroke", style.stroke)
+            .style("fill-opacity", style.gradient ? 1 : style.fillOpacity);
+    }
+    
+    setPath(series, d) {
+        series.path.attr("d", d);
+    }
+    
+    setClip(series, d) {
+        series.clipPathElement.attr("d", d);
+    }
+    
+    setTransform(series, transform) {
+        series.path.attr("transform", transform
+            ? `translate(0,${transform.translateY}) scale(1,${transform.scaleY})`
+            : null);
+    }
+    
+    setStrokeWidth(series, width) {
+        series.path.style("stroke-width", `${width}px`);
+    }
+    
+    setOpacity(series, opacity) {
+        series.path.style("opacity", opacity === 1 ? null : opacity);
+    }
+    
+    removeSeries(series) {
+        series.path.remove();
+        series.clipPath.remove();
+        
+        if (series.fillGradient) {
+            series.fillGradient.remove();
+        }
+    }
+    
+    resize() {
+        this.engine.series.forEach(series => {
+            if (series.fillGradient) {
+                series.fillGradient.attr("y2", this.engine.height);
+            }
+        });
+    }
+    
+    flush() {}
+    
+    destroy() {}
+}
+
+// Draws every series into a single <canvas> under the SVG (axes and legend stay in SVG).
+// Each frame the clip is the same data-aware path string, fed to Path2D.
+class CanvasRenderBackend {
+    constructor(engine) {
+        this.engine = engine;
+        this.name = 'canvas';
+        this.canvas = null;
+        this.context = null;
+        this.pixelRatio = 1;
+        this.drawPending = false;
+    }
+    
+    static isSupported() {
+        return typeof document !== 'undefined' &&
+            typeof Path2D !== 'undefined' &&
+            !!document.createElement('canvas').getContext?.('2d');
+    }
+    
+    setup() {
+        const svgNode = this.engine.svg.node();
+        const parent = svgNode.parentNode;
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'chart-canvas';
+        this.canvas.style.position = 'absolute';
+        this.canvas.style.pointerEvents = 'none';
+        this.context = this.canvas.getContext('2d');
+        
+        // Stack the canvas under the SVG so axes and overlays stay on top
+        if (window.getComputedStyle(parent).position === 'static') {
+            parent.style.position = 'relative';
+        }
+        svgNode.style.position = 'relative';
+        parent.insertBefore(this.canvas, svgNode);
+        
+        this.resize();
+    }
+    
+    createSeries(series, style) {
+        series.canvasLayer = {
+            style: { ...style },
+            strokeWidth: style.strokeWidth,
+            path: null,
+            clip: new Path2D(EMPTY_CLIP),
+            transform: null,
+            opacity: 1
+        };
+        this.requestDraw();
+    }
+    
+    setColors(series, style) {
+        const { fill, stroke, fillOpacity, gradient } = style;
+        Object.assign(series.canvasLayer.style, { fill, stroke, fillOpacity, gradient });
+        this.requestDraw();
+    }
+    
+    setPath(series, d) {
+        series.canvasLayer.path = d ? new Path2D(d) : null;
+        this.requestDraw();
+    }
+    
+    setClip(series, d) {
+        series.canvasLayer.clip = new Path2D(d);
+        this.requestDraw();
+    }
+    
+    setTransform(series, transform) {
+        series.canvasLayer.transform = transform;
+        this.requestDraw();
+    }
+    
+    setStrokeWidth(series, width) {
+        series.canvasLayer.strokeWidth = width;
+        this.requestDraw();
+    }
+    
+    setOpacity(series, opacity) {
+        series.canvasLayer.opacity = opacity;
+        this.requestDraw();
+    }
+    
+    removeSeries(series) {
+        series.canvasLayer = null;
+        this.requestDraw();
+    }
+    
+    // Match the SVG's outer box, at device resolution
+    resize() {
+        const engine = this.engine;
+        const svgNode = engine.svg.node();
+        const width = engine.width + engine.margin.left + engine.margin.right;
+        const height = engine.height + engine.margin.top + engine.margin.bottom;
+        
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.style.left = `${svgNode.offsetLeft}px`;
+        this.canvas.style.top = `${svgNode.offsetTop}px`;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.width = Math.round(width * this.pixelRatio);
+        this.canvas.height = Math.round(height * this.pixelRatio);
+        
+        this.requestDraw();
+    }
+    
+    // Coalesce every write made during one GSAP tick into a single redraw
+    requestDraw() {
+        if (this.drawPending) return;
+        this.drawPending = true;
+        queueMicrotask(() => this.flush());
+    }
+    
+    flush() {
+        this.drawPending = false;
+        if (!this.context) return;
+        
+        const { engine, context, pixelRatio } = this;
+        
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        engine.series.forEach(series => {
+            const layer = series.canvasLayer;
+            if (!layer || !layer.path) return;
+            
+            context.save();
+            context.setTransform(pixelRatio, 0, 0, pixelRatio, engine.margin.left * pixelRatio, engine.margin.top * pixelRatio);
+            
+            // Same order as SVG: the transform applies to the clip as well as the shape
+            if (layer.transform) {
+                context.translate(0, layer.transform.translateY);
+                context.scale(1, layer.transform.scaleY);
+            }
+            
+            context.clip(layer.clip);
+            
+            if (layer.style.fill !== 'none') {
+                context.globalAlpha = layer.style.gradient ? layer.opacity : layer.style.fillOpacity * layer.opacity;
+                context.fillStyle = layer.style.gradient ? this.createFillGradient(layer.style) : layer.style.fill;
+                context.fill(layer.path);
+            }
+            
+            context.globalAlpha = layer.opacity;
+            context.strokeStyle = layer.style.stroke;
+            context.lineWidth = layer.strokeWidth;
+            context.stroke(layer.path);
+            
+            context.restore();
+        });
+    }
+    
+    // Same gradient as the SVG backend: plot top → baseline, in the series' (transformed) space
+    createFillGradient(style) {
+        const gradient = this.context.createLinearGradient(0, 0, 0, this.engine.height);
+        const color = d3.color(style.fill);
+        
+        gradient.addColorStop(0, color.copy({ opacity: style.gradient.topOpacity }).formatRgb());
+        gradient.addColorStop(1, color.copy({ opacity: style.gradient.bottomOpacity }).formatRgb());
+        return gradient;
+    }
+    
+    destroy() {
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+            this.context = null;
+        }
+    }
+}
+
+const RenderBackends = {
+    svg: SvgRenderBackend,
+    canvas: CanvasRenderBackend
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RenderBackends, SvgRenderBackend, CanvasRenderBackend, EMPTY_CLIP };
+}
\ No newline at end of file
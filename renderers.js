@@ -0,0 +1,256 @@
+// databutter - Chart Renderers
+// Pluggable shapes for the data-aware clip reveal: area, line, stacked area, step and grouped bars
+
+// Renderers share this contract; the engine owns scales, clipping and the timeline:
+//   layout(engine, seriesList)    → sets series.shape = [{ day, y0, y1 }] in data units
+//   domains(engine, seriesList)   → { x, y } scale domains for the laid-out series
+//   path(engine, series)          → full SVG path for the series
+//   drawnShape(engine, series)    → the points path() and curveIndex() use - series.shape, thinned when dense
+//   curveIndex(engine, series)    → { valueAt, sample } over the top edge, for the curve lookup
+//   morphPath(engine, series)     → path for one morph frame, from series.curveLookup
+//   baselineSeries(engine, series) → the series this one sits on (null = the zero baseline)
+//   applyReveal(engine, series)   → optional extra per-frame reveal on top of the clip path
+const baseRenderer = {
+    filled: true,
+    strokeWidth: 2,
+    
+    curve() {
+        return d3.curveMonotoneX;
+    },
+    
+    // Every series sits on the zero baseline
+    layout(engine, seriesList) {
+        seriesList.forEach(series => {
+            series.shape = series.rawData.map(d => ({ day: d.day, y0: 0, y1: d.value }));
+        });
+    },
+    
+    // X extent across every series, Y from zero to 10% above the tallest value
+    domains(engine, seriesList) {
+        const allPoints = seriesList.flatMap(series => series.shape);
+        const maxValue = d3.max(allPoints, d => d.y1) || 1;
+        
+        return {
+            x: d3.extent(allPoints, d => d.day),
+            y: [0, maxValue * 1.1]
+        };
+    },
+    
+    // More points than the chart's point budget are thinned with LTTB, keeping peaks and dips
+    drawnShape(engine, series) {
+        return engine.getDrawnShape(series);
+    },
+    
+    path(engine, series) {
+        return d3.area()
+            .x(d => engine.xScale(d.day))
+            .y0(d => engine.yScale(d.y0))
+            .y1(d => engine.yScale(d.y1))
+            .curve(this.curve())(this.drawnShape(engine, series));
+    },
+    
+    curveIndex(engine, series) {
+        return new MonotoneCurveIndex(this.drawnShape(engine, series), d => d.day, d => d.y1);
+    },
+    
+    morphPath(engine, series) {
+        const baseline = this.baselineSeries(engine, series);
+        
+        return d3.area()
+            .x(d => d.pixelX)
+            .y0(d => baseline ? engine.lookupAt(baseline, d.pixelX).pixelY : engine.yScale(0))
+            .y1(d => d.pixelY)(series.curveLookup);
+    },
+    
+    baselineSeries(engine, series) {
+        return null;
+    }
+};
+
+const ChartRenderers = {
+    area: {
+        ...baseRenderer,
+        name: 'area'
+    },
+    
+    // Stroke only - the clip path reveals the line just like the area
+    line: {
+        ...baseRenderer,
+        name: 'line',
+        filled: false,
+        strokeWidth: 2.5,
+        
+        path(engine, series) {
+            return d3.line()
+                .x(d => engine.xScale(d.day))
+                .y(d => engine.yScale(d.y1))
+                .curve(this.curve())(this.drawnShape(engine, series));
+        },
+        
+        morphPath(engine, series) {
+            return d3.line()
+                .x(d => d.pixelX)
+                .y(d => d.pixelY)(series.curveLookup);
+        }
+    },
+    
+    // Each series stacks on top of the ones before it
+    stackedArea: {
+        ...baseRenderer,
+        name: 'stackedArea',
+        
+        layout(engine, seriesList) {
+            const days = Array.from(new Set(seriesList.flatMap(series => series.rawData.map(d => d.day))))
+                .sort((a, b) => a - b);
+            const totals = new Map(days.map(day => [day, 0]));
+            
+            seriesList.forEach(series => {
+                const values = new Map(series.rawData.map(d => [d.day, d.value]));
+                
+                series.shape = days.map(day => {
+                    const y0 = totals.get(day);
+                    const y1 = y0 + (values.get(day) ?? 0); // Missing days contribute nothing
+                    totals.set(day, y1);
+                    return { day, y0, y1 };
+                });
+            });
+        },
+        
+        // Bands share their edges, so every series keeps all of its points
+        drawnShape(engine, series) {
+            return series.shape;
+        },
+        
+        baselineSeries(engine, series) {
+            const position = engine.series.indexOf(series);
+            return position > 0 ? engine.series[position - 1] : null;
+        }
+    },
+    
+    // Holds each value until the next point, like d3.curveStepAfter
+    step: {
+        ...baseRenderer,
+        name: 'step',
+        
+        curve() {
+            return d3.curveStepAfter;
+        },
+        
+        curveIndex(engine, series) {
+            return new StepCurveIndex(this.drawnShape(engine, series), d => d.day, d => d.y1, 1);
+        }
+    },
+    
+    // Grouped bars: one band per day, one bar per series; bars grow as the edge passes them
+    bar: {
+        ...baseRenderer,
+        name: 'bar',
+        bandPadding: 0.2,
+        growDistance: 40, // Pixels behind the leading edge before a bar reaches full height
+        stepCache: new WeakMap(), // engine → { shapes, step } - renderers are shared between charts
+        
+        // One bar per point - thinning would drop bars, not detail
+        drawnShape(engine, series) {
+            return series.shape;
+        },
+        
+        domains(engine, seriesList) {
+            const domains = baseRenderer.domains.call(this, engine, seriesList);
+            const step = this.bandStep(seriesList);
+            
+            // Half a band of padding so the first and last bars aren't cut in half
+            return {
+                x: [domains.x[0] - step / 2, domains.x[1] + step / 2],
+                y: domains.y
+            };
+        },
+        
+        // Smallest gap between neighbouring days
+        bandStep(seriesList) {
+            const days = Array.from(new Set(seriesList.flatMap(series => series.shape.map(d => d.day))))
+                .sort((a, b) => a - b);
+            
+            let step = Infinity;
+            for (let i = 1; i < days.length; i++) {
+                step = Math.min(step, days[i] - days[i - 1]);
+            }
+            
+            return Number.isFinite(step) ? step : 1;
+        },
+        
+        // bandStep() for the per-frame paths: worked out again only once a layout replaces a shape
+        engineBandStep(engine) {
+            const shapes = engine.series.map(series => series.shape);
+            const cached = this.stepCache.get(engine);
+            if (cached && cached.shapes.length === shapes.length && cached.shapes.every((shape, i) => shape === shapes[i])) {
+                return cached.step;
+            }
+            
+            const step = this.bandStep(engine.series);
+            this.stepCache.set(engine, { shapes, step });
+            return step;
+        },
+        
+        // Pixel geometry of every bar for a series
+        barGeometry(engine, series, points) {
+            const step = this.engineBandStep(engine);
+            const groupCount = Math.max(engine.series.length, 1);
+            const groupIndex = Math.max(engine.series.indexOf(series), 0);
+            const bandWidth = Math.abs(engine.xScale(step) - engine.xScale(0)) * (1 - this.bandPadding);
+            const barWidth = bandWidth / groupCount;
+            
+            return points.map(d => ({
+                day: d.day,
+                x: engine.xScale(d.day) - bandWidth / 2 + groupIndex * barWidth,
+                width: barWidth,
+                y0: engine.yScale(d.y0),
+                y1: engine.yScale(d.y1)
+            }));
+        },
+        
+        barsPath(bars, growth = () => 1) {
+            return bars.map(bar => {
+                const top = bar.y0 + (bar.y1 - bar.y0) * growth(bar);
+                return `M${bar.x},${bar.y0} L${bar.x},${top} L${bar.x + bar.width},${top} L${bar.x + bar.width},${bar.y0} Z`;
+            }).join(' ');
+        },
+        
+        path(engine, series) {
+            return this.barsPath(this.barGeometry(engine, series, series.shape));
+        },
+        
+        // Bar tops are flat across each band, so the bulge follows a centred step
+        curveIndex(engine, series) {
+            return new StepCurveIndex(series.shape, d => d.day, d => d.y1, 0.5);
+        },
+        
+        // Mid-morph bar heights come from the blended lookup at each bar's centre
+        morphPath(engine, series) {
+            const points = (series.nextShape || series.shape).map(d => {
+                const entry = engine.lookupAt(series, Math.round(engine.xScale(d.day)));
+                return { day: d.day, y0: 0, y1: entry ? entry.dataY : d.y1 };
+            });
+            
+            return this.barsPath(this.barGeometry(engine, series, points));
+        },
+        
+        // Per-bar reveal: each bar grows from the baseline once the clip edge reaches it
+        applyReveal(engine, series) {
+            const bars = this.barGeometry(engine, series, series.shape);
+            const growth = bar => {
+                if (series.reveal.progress >= 1) return 1;
+                
+                const amount = (series.currentClipX - bar.x) / this.growDistance;
+                const clamped = Math.max(0, Math.min(1, amount));
+                return 1 - Math.pow(1 - clamped, 3); // easeOutCubic
+            };
+            
+            engine.backend.setPath(series, this.barsPath(bars, growth));
+        }
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartRenderers };
+}
\ No newline at end of file
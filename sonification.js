@@ -0,0 +1,332 @@
+// databutter - Data Sonification
+// Web Audio voices that follow the value under each series' clip edge, with tones at narrative beats
+
+// Semitone offsets within one octave
+const SONIFICATION_SCALES = {
+    pentatonic: [0, 2, 4, 7, 9],
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+const SONIFICATION_WAVEFORMS = ['triangle', 'sine', 'sawtooth', 'square'];
+
+// 16-bit PCM WAV from an AudioBuffer
+function encodeWav(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const bytesPerSample = 2;
+    const dataSize = length * channels * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+    
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                 // fmt chunk size
+    view.setUint16(20, 1, true);                  // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * channels * bytesPerSample, true);
+    view.setUint16(32, channels * bytesPerSample, true);
+    view.setUint16(34, 8 * bytesPerSample, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+    
+    // Interleave channels, clamped to [-1, 1]
+    const channelData = Array.from({ length: channels }, (_, i) => audioBuffer.getChannelData(i));
+    let offset = 44;
+    
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < channels; channel++) {
+            const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += bytesPerSample;
+        }
+    }
+    
+    return buffer;
+}
+
+class DataSonifier {
+    constructor(engine) {
+        this.engine = engine;
+        this.context = null;
+        this.master = null;
+        this.voices = new Map(); // series key → { oscillator, gain }
+        this.capture = null;     // Set while renderOffline() scans the timeline
+        
+        engine.on('play', () => this.start());
+        engine.on('resume', () => this.start());
+        engine.on('reverse', () => this.start());
+        engine.on('progress', event => this.handleProgress(event));
+        engine.on('beat', event => this.handleBeat(event));
+        engine.on('pause', () => this.silence());
+        engine.on('complete', () => this.silence());
+        engine.on('reset', () => this.silence());
+    }
+    
+    get params() {
+        return this.engine.animationParams.sonification;
+    }
+    
+    isActive() {
+        return this.params.enabled && !this.params.muted;
+    }
+    
+    // Map a data value onto the configured scale, baseNote upwards over params.octaves
+    frequencyFor(value) {
+        const { scale, baseNote, octaves } = this.params;
+        const steps = SONIFICATION_SCALES[scale] || SONIFICATION_SCALES.pentatonic;
+        const maxValue = this.engine.yScale.domain()[1] || 1;
+        const normalized = Math.max(0, Math.min(1, value / maxValue));
+        
+        const step = Math.round(normalized * steps.length * octaves);
+        const midi = baseNote + Math.floor(step / steps.length) * 12 + steps[step % steps.length];
+        
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+    
+    // Lazily create the AudioContext - browsers only allow it after a user gesture
+    ensureContext() {
+        if (this.context) return this.context;
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('⚠️ Web Audio unavailable - sonification disabled');
+            return null;
+        }
+        
+        this.context = new AudioContextClass();
+        this.master = this.context.createGain();
+        this.master.gain.value = this.params.volume;
+        this.master.connect(this.context.destination);
+        return this.context;
+    }
+    
+    start() {
+        if (!this.isActive() || this.capture) return;
+        
+        const context = this.ensureContext();
+        if (!context) return;
+        
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+        this.master.gain.setTargetAtTime(this.params.volume, context.currentTime, 0.05);
+    }
+    
+    // Volume, mute and enable changes from setParameter() - heard straight away
+    applySettings() {
+        if (this.isActive() && this.engine.isPlaying) {
+            this.start(); // Switching sound on mid-reveal is the gesture that unlocks audio
+        } else if (this.context) {
+            this.master.gain.setTargetAtTime(this.isActive() ? this.params.volume : 0, this.context.currentTime, 0.05);
+        }
+    }
+    
+    // One continuous voice per series, panned apart so overlapping series stay distinguishable
+    createVoice(context, destination, series) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        
+        oscillator.type = SONIFICATION_WAVEFORMS[series.index % SONIFICATION_WAVEFORMS.length];
+        gain.gain.value = 0;
+        oscillator.connect(gain);
+        
+        let output = gain;
+        if (context.createStereoPanner) {
+            const panner = context.createStereoPanner();
+            const count = this.engine.series.length;
+            panner.pan.value = count > 1 ? -0.6 + 1.2 * series.index / (count - 1) : 0;
+            gain.connect(panner);
+            output = panner;
+        }
+        
+        output.connect(destination);
+        oscillator.start();
+        
+        return { oscillator, gain };
+    }
+    
+    // A short bell at a beat - dramatic beats get a fifth on top
+    playBeatTone(context, destination, time, beat) {
+        const frequency = this.frequencyFor(this.engine.yScale.domain()[1]) * 2;
+        const partials = this.engine.dataUtils.isDramaticBeat(beat) ? [1, 1.5] : [1];
+        
+        partials.forEach(ratio => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency * ratio;
+            gain.gain.setValueAtTime(0, time);
+            gain.gain.linearRampToValueAtTime(0.5, time + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.6);
+            
+            oscillator.connect(gain);
+            gain.connect(destination);
+            oscillator.start(time);
+            oscillator.stop(time + 0.65);
+        });
+    }
+    
+    handleProgress({ series: key, progress, value }) {
+        if (this.capture) {
+            this.capture.points.push({ time: this.capture.time, key, progress, value });
+            return;
+        }
+        
+        if (!this.isActive() || !this.context || value === null || this.engine.isExporting) return;
+        
+        const series = this.engine.series.find(candidate => candidate.key === key);
+        if (!series) return;
+        
+        if (!this.voices.has(key)) {
+            this.voices.set(key, this.createVoice(this.context, this.master, series));
+        }
+        
+        const voice = this.voices.get(key);
+        const now = this.context.currentTime;
+        const level = progress > 0 && progress < 1 ? 0.25 : 0; // Quiet once the series lands
+        
+        voice.oscillator.frequency.setTargetAtTime(this.frequencyFor(value), now, 0.02);
+        voice.gain.gain.setTargetAtTime(level, now, 0.04);
+    }
+    
+    handleBeat({ beat }) {
+        if (this.capture) {
+            this.capture.beats.push({ time: this.capture.time, beat });
+            return;
+        }
+        
+        if (!this.isActive() || !this.context || !this.params.beatTones || this.engine.isExporting) return;
+        this.playBeatTone(this.context, this.master, this.context.currentTime, beat);
+    }
+    
+    silence() {
+        if (!this.context) return;
+        
+        const now = this.context.currentTime;
+        this.voices.forEach(voice => voice.gain.gain.setTargetAtTime(0, now, 0.05));
+    }
+    
+    // Render the whole reveal to an AudioBuffer without speakers: scan the timeline frame by frame,
+    // record the edge values and beats, then schedule them on an OfflineAudioContext
+    async renderOffline({ sampleRate = 44100, frameRate = 60 } = {}) {
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContextClass) {
+            throw new Error('OfflineAudioContext is not supported in this browser');
+        }
+        
+        const engine = this.engine;
+        
+        // The scan replays the reveal from the start, and reset() would end the stream
+        if (engine.isStreaming) {
+            throw new Error('Audio export replays the reveal - stop the live stream first');
+        }
+        
+        const previousProgress = engine.timeline ? engine.timeline.progress() : null;
+        const wasPlaying = engine.isPlaying;
+        
+        // Export mode: callouts snap in and beats reach only the capture, not the page
+        engine.isExporting = true;
+        
+        const capture = { time: 0, points: [], beats: [] };
+        this.capture = capture;
+        
+        let duration;
+        try {
+            engine.reset();
+            const timeline = engine.buildTimeline();
+            duration = timeline.duration();
+            
+            const frames = Math.ceil(duration * frameRate);
+            for (let frame = 0; frame <= frames; frame++) {
+                capture.time = Math.min(frame / frameRate, duration);
+                timeline.time(capture.time);
+            }
+        } finally {
+            this.capture = null;
+            
+            // Put the chart back where it was
+            engine.reset();
+            if (previousProgress !== null) {
+                engine.seekToProgress(previousProgress);
+            }
+            engine.isExporting = false;
+        }
+        
+        if (previousProgress !== null && wasPlaying) {
+            engine.play();
+        }
+        
+        const { points, beats } = capture;
+        const tail = 1; // Let the last beat ring out
+        const context = new OfflineContextClass(2, Math.ceil((duration + tail) * sampleRate), sampleRate);
+        const master = context.createGain();
+        master.gain.value = this.params.muted ? 0 : this.params.volume;
+        master.connect(context.destination);
+        
+        engine.series.forEach(series => {
+            const seriesPoints = points.filter(point => point.key === series.key && point.value !== null);
+            if (!seriesPoints.length) return;
+            
+            const voice = this.createVoice(context, master, series);
+            seriesPoints.forEach(point => {
+                const level = point.progress > 0 && point.progress < 1 ? 0.25 : 0;
+                voice.oscillator.frequency.setTargetAtTime(this.frequencyFor(point.value), point.time, 0.02);
+                voice.gain.gain.setTargetAtTime(level, point.time, 0.04);
+            });
+            voice.gain.gain.setTargetAtTime(0, duration, 0.05);
+            voice.oscillator.stop(duration + tail);
+        });
+        
+        if (this.params.beatTones) {
+            beats.forEach(({ time, beat }) => this.playBeatTone(context, master, time, beat));
+        }
+        
+        console.log(`🎧 Rendering ${duration.toFixed(2)}s of sonification offline (${points.length} edge samples, ${beats.length} beats)`);
+        return context.startRendering();
+    }
+    
+    // Offline render straight to a WAV Blob
+    async renderWav(options) {
+        const audioBuffer = await this.renderOffline(options);
+        return new Blob([encodeWav(audioBuffer)], { type: 'audio/wav' });
+    }
+    
+    async downloadWav(filename = 'databutter-sonification.wav') {
+        const blob = await this.renderWav();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    destroy() {
+        this.voices.forEach(voice => voice.oscillator.stop());
+        this.voices.clear();
+        
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataSonifier, encodeWav, SONIFICATION_SCALES };
+}
\ No newline at end of file
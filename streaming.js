@@ -0,0 +1,251 @@
+// databutter - Live Data Streams
+// Newline-delimited JSON from a WebSocket or EventSource, batched into engine.appendData()
+
+const STREAM_TRANSPORTS = ['websocket', 'eventsource'];
+
+// Each non-empty line is one JSON row ({ day, <series>: value }) or an array of rows.
+// lines[i] is the source line rows[i] came from, for reporting problems found later
+function parseNdjson(text) {
+    const rows = [];
+    const lines = [];
+    const problems = [];
+    
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        
+        let value;
+        try {
+            value = JSON.parse(trimmed);
+        } catch (error) {
+            problems.push({ line: index + 1, message: `invalid JSON (${error.message})` });
+            return;
+        }
+        
+        (Array.isArray(value) ? value : [value]).forEach(row => {
+            if (row && typeof row === 'object' && !Array.isArray(row)) {
+                rows.push(row);
+                lines.push(index + 1);
+            } else {
+                problems.push({ line: index + 1, message: 'expected an object per row' });
+            }
+        });
+    });
+    
+    return { rows, lines, problems };
+}
+
+class DataStream {
+    // options: transport ('auto' picks from the URL scheme), xField (the field holding x),
+    // batchInterval (ms of messages gathered into one appendData), reconnect, onStatus(status, detail)
+    constructor(engine, url, options = {}) {
+        this.engine = engine;
+        this.url = url;
+        this.options = {
+            transport: 'auto',
+            xField: 'day',
+            batchInterval: 100,
+            reconnect: true,
+            reconnectDelay: 1000,   // ms, doubled after every failed attempt
+            maxReconnectDelay: 30000,
+            onStatus: null,
+            ...options
+        };
+        
+        this.source = null;  // The WebSocket or EventSource
+        this.status = 'closed';
+        this.stopped = true; // disconnect() was called - don't reconnect
+        this.pending = [];   // Rows waiting for the next flush
+        this.flushTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.stats = { messages: 0, rows: 0, problems: 0 };
+    }
+    
+    getTransport() {
+        const { transport } = this.options;
+        
+        if (transport !== 'auto') {
+            if (!STREAM_TRANSPORTS.includes(transport)) {
+                throw new Error(`Unknown stream transport "${transport}" - use ${STREAM_TRANSPORTS.join(' or ')}`);
+            }
+            return transport;
+        }
+        
+        const protocol = new URL(this.url, window.location.href).protocol;
+        return protocol === 'ws:' || protocol === 'wss:' ? 'websocket' : 'eventsource';
+    }
+    
+    connect() {
+        if (!this.stopped) return this;
+        
+        this.stopped = false;
+        this.reconnectAttempts = 0;
+        this.open();
+        return this;
+    }
+    
+    open() {
+        const transport = this.getTransport();
+        this.setStatus('connecting', this.url);
+        
+        if (transport === 'websocket') {
+            if (typeof WebSocket === 'undefined') {
+                throw new Error('WebSocket is not supported in this browser');
+            }
+            
+            const socket = new WebSocket(this.url);
+            socket.onopen = () => this.handleOpen();
+            socket.onmessage = event => this.handleMessage(event.data);
+            socket.onerror = () => this.setStatus('error', 'WebSocket error');
+            socket.onclose = () => this.handleClose();
+            this.source = socket;
+        } else {
+            if (typeof EventSource === 'undefined') {
+                throw new Error('EventSource is not supported in this browser');
+            }
+            
+            const source = new EventSource(this.url);
+            source.onopen = () => this.handleOpen();
+            source.onmessage = event => this.handleMessage(event.data);
+            source.onerror = () => {
+                // EventSource retries by itself unless the server turned it away for good
+                if (source.readyState === EventSource.CLOSED) {
+                    this.handleClose();
+                } else {
+                    this.setStatus('reconnecting', this.url);
+                }
+            };
+            this.source = source;
+        }
+    }
+    
+    handleOpen() {
+        this.reconnectAttempts = 0;
+        this.setStatus('open', this.url);
+    }
+    
+    handleMessage(data) {
+        this.stats.messages++;
+        
+        if (typeof data !== 'string') {
+            this.reportProblems([{ line: 1, message: 'binary message - expected NDJSON text' }]);
+            return;
+        }
+        
+        const { rows, lines, problems } = parseNdjson(data);
+        const converted = [];
+        
+        rows.forEach((row, index) => {
+            const result = this.toRow(row);
+            if (!result) {
+                problems.push({ line: lines[index], message: `missing ${this.options.xField}, or not a number or ISO date` });
+            } else if (!this.engine.matchesXType(result.day)) {
+                problems.push({ line: lines[index], message: `${this.options.xField} is ${this.engine.xIsTime ? 'a number but the chart has a time' : 'a date but the chart has a numeric'} axis` });
+            } else {
+                converted.push(result);
+            }
+        });
+        
+        this.reportProblems(problems);
+        if (!converted.length) return;
+        
+        this.stats.rows += converted.length;
+        this.pending.push(...converted);
+        
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.batchInterval);
+        }
+    }
+    
+    // { <xField>: x, <series>: value } → { day, <series>: value }; x can be a number or an ISO date
+    toRow(row) {
+        const x = row[this.options.xField];
+        if (!Number.isFinite(parseXValue(x))) return null;
+        
+        const result = { day: x };
+        Object.keys(row).forEach(key => {
+            if (key === this.options.xField || key === 'day') return;
+            
+            const value = typeof row[key] === 'string' && row[key].trim() !== '' ? Number(row[key]) : row[key];
+            if (Number.isFinite(value)) {
+                result[key] = value;
+            }
+        });
+        
+        return result;
+    }
+    
+    reportProblems(problems) {
+        if (!problems.length) return;
+        
+        this.stats.problems += problems.length;
+        console.warn(`⚠️ Stream message skipped ${problems.length} line${problems.length === 1 ? '' : 's'}`, problems);
+    }
+    
+    // One appendData() per batch, so a chatty stream redraws a few times a second, not per message
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        if (!this.pending.length) return;
+        
+        const rows = this.pending;
+        this.pending = [];
+        this.engine.appendData(rows);
+    }
+    
+    handleClose() {
+        this.source = null;
+        this.flush();
+        
+        if (this.stopped || !this.options.reconnect) {
+            this.stopped = true;
+            this.setStatus('closed');
+            return;
+        }
+        
+        const delay = Math.min(this.options.reconnectDelay * Math.pow(2, this.reconnectAttempts), this.options.maxReconnectDelay);
+        this.reconnectAttempts++;
+        this.setStatus('reconnecting', `retrying in ${delay}ms`);
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.stopped) {
+                this.open();
+            }
+        }, delay);
+    }
+    
+    disconnect() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
+        if (this.source) {
+            const source = this.source;
+            this.source = null;
+            source.onclose = null;
+            source.close();
+        }
+        
+        this.flush();
+        this.setStatus('closed');
+    }
+    
+    setStatus(status, detail = '') {
+        if (status !== this.status) {
+            console.log(`📡 Stream ${status}${detail ? ` (${detail})` : ''}`);
+        }
+        
+        this.status = status;
+        if (this.options.onStatus) {
+            this.options.onStatus(status, detail);
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataStream, parseNdjson, STREAM_TRANSPORTS };
+}
\ No newline at end of file
@@ -0,0 +1,217 @@
+// databutter - Themes
+// Series palettes, axis/grid styles, gradient fills and effect/annotation/tooltip colors in one object
+
+const CHART_THEMES = {
+    light: {
+        name: 'light',
+        background: '#ffffff',     // Exported frames, beat markers and hover dot outlines
+        text: '#2c3e50',           // Legend and callout text
+        palette: [
+            { fill: '#e74c3c', stroke: '#c0392b' },
+            { fill: '#f39c12', stroke: '#d68910' },
+            { fill: '#27ae60', stroke: '#1e8449' },
+            { fill: '#3498db', stroke: '#2471a3' },
+            { fill: '#9b59b6', stroke: '#7d3c98' }
+        ],
+        fillOpacity: 0.7,          // Flat fills, when the gradient is off
+        gradient: { enabled: true, topOpacity: 0.85, bottomOpacity: 0.2 },
+        axis: { text: '#5d6d7e', line: '#aab7b8' },
+        grid: { enabled: true, color: '#2c3e50', opacity: 0.08 },
+        effects: { highlight: '#ffffff', spark: '#fdfefe' },
+        annotation: { marker: '#ffffff' },
+        tooltip: { background: 'rgba(255, 255, 255, 0.96)', text: '#2c3e50', border: 'rgba(44, 62, 80, 0.2)' },
+        // Page colors, as the CSS custom properties styles.css and index.html use
+        ui: {
+            '--dark-bg': '#f4f6f8',
+            '--darker-bg': '#e9edf1',
+            '--panel-bg': '#ffffff',
+            '--control-bg': '#eef1f4',
+            '--text-primary': '#2c3e50',
+            '--text-secondary': '#4d5d6c',
+            '--text-muted': '#7f8c8d',
+            '--border-color': '#d5dbe0',
+            '--success-color': '#1e8449',
+            '--warning-color': '#b9770e',
+            '--danger-color': '#c0392b'
+        }
+    },
+    dark: {
+        name: 'dark',
+        background: '#2a2a2a',
+        text: '#ecf0f1',
+        palette: [
+            { fill: '#e74c3c', stroke: '#ff6f61' },
+            { fill: '#f39c12', stroke: '#f8c471' },
+            { fill: '#27ae60', stroke: '#58d68d' },
+            { fill: '#3498db', stroke: '#85c1e9' },
+            { fill: '#9b59b6', stroke: '#c39bd3' }
+        ],
+        fillOpacity: 0.7,
+        gradient: { enabled: true, topOpacity: 0.8, bottomOpacity: 0.15 },
+        axis: { text: '#999999', line: '#555555' },
+        grid: { enabled: true, color: '#ffffff', opacity: 0.06 },
+        effects: { highlight: '#ffffff', spark: '#ffffff' },
+        annotation: { marker: '#2a2a2a' },
+        tooltip: { background: 'rgba(20, 20, 20, 0.9)', text: '#ffffff', border: 'rgba(255, 255, 255, 0.1)' },
+        ui: {
+            '--dark-bg': '#1a1a1a',
+            '--darker-bg': '#111111',
+            '--panel-bg': '#2a2a2a',
+            '--control-bg': '#333333',
+            '--text-primary': '#ffffff',
+            '--text-secondary': '#cccccc',
+            '--text-muted': '#999999',
+            '--border-color': '#444444',
+            '--success-color': '#27ae60',
+            '--warning-color': '#f39c12',
+            '--danger-color': '#e74c3c'
+        }
+    },
+    // Saturated, distinct hues on black, flat fills and brighter axes (prefers-contrast: more)
+    highContrast: {
+        name: 'highContrast',
+        background: '#000000',
+        text: '#ffffff',
+        palette: [
+            { fill: '#ffd400', stroke: '#ffe866' },
+            { fill: '#00e5ff', stroke: '#80f2ff' },
+            { fill: '#ff4dff', stroke: '#ffa6ff' },
+            { fill: '#4dff4d', stroke: '#a6ffa6' },
+            { fill: '#ff8c1a', stroke: '#ffc58c' }
+        ],
+        fillOpacity: 0.45,
+        gradient: { enabled: false, topOpacity: 1, bottomOpacity: 1 },
+        axis: { text: '#ffffff', line: '#ffffff' },
+        grid: { enabled: true, color: '#ffffff', opacity: 0.25 },
+        effects: { highlight: '#ffffff', spark: '#ffffff' },
+        annotation: { marker: '#000000' },
+        tooltip: { background: '#000000', text: '#ffffff', border: '#ffffff' },
+        ui: {
+            '--dark-bg': '#000000',
+            '--darker-bg': '#000000',
+            '--panel-bg': '#000000',
+            '--control-bg': '#111111',
+            '--text-primary': '#ffffff',
+            '--text-secondary': '#ffffff',
+            '--text-muted': '#e0e0e0',
+            '--border-color': '#ffffff',
+            '--success-color': '#4dff4d',
+            '--warning-color': '#ffd400',
+            '--danger-color': '#ff6666'
+        }
+    }
+};
+
+const THEME_NAMES = ['auto', ...Object.keys(CHART_THEMES)];
+
+// What 'auto' means right now: more contrast wins, then the light/dark scheme
+function getPreferredThemeName() {
+    if (typeof window === 'undefined' || !window.matchMedia) return 'dark'; // The demo's original look
+    
+    if (window.matchMedia('(prefers-contrast: more)').matches) return 'highContrast';
+    return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+function isAutoTheme(theme) {
+    return theme === 'auto' || (!!theme && typeof theme === 'object' && (theme.base || 'auto') === 'auto');
+}
+
+// Palette entries can be bare fill colors - the stroke is a darker shade of the fill
+function normalizePalette(palette) {
+    return palette
+        .map(entry => {
+            const fill = typeof entry === 'string' ? entry : entry?.fill;
+            if (!fill || !d3.color(fill)) return null;
+            
+            const stroke = (typeof entry === 'object' && entry.stroke) || d3.color(fill).darker(0.5).formatHex();
+            return { fill, stroke };
+        })
+        .filter(Boolean);
+}
+
+// Deep merge where arrays (palettes) replace rather than combine
+function mergeTheme(base, overrides) {
+    const result = { ...base };
+    
+    Object.keys(overrides || {}).forEach(key => {
+        const value = overrides[key];
+        
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            result[key] = mergeTheme(base?.[key] || {}, value);
+        } else if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+    
+    return result;
+}
+
+// A theme name ('auto', 'light', 'dark', 'highContrast') or a partial theme over one
+// ({ base: 'dark', palette: ['#ff0066', ...] }) → a complete theme
+function resolveTheme(theme = 'auto') {
+    if (!theme || typeof theme !== 'object') {
+        const name = theme === 'auto' ? getPreferredThemeName() : theme;
+        if (CHART_THEMES[name]) return CHART_THEMES[name];
+        
+        console.warn(`⚠️ Unknown theme "${theme}" - use ${THEME_NAMES.join(', ')} or a theme object`);
+        return CHART_THEMES[getPreferredThemeName()];
+    }
+    
+    const { base = 'auto', ...overrides } = theme;
+    const resolved = mergeTheme(resolveTheme(base), overrides);
+    
+    if (overrides.palette) {
+        const palette = Array.isArray(overrides.palette) ? normalizePalette(overrides.palette) : [];
+        if (!palette.length) {
+            console.warn('⚠️ Theme palette has no usable colors - keeping the base palette');
+        }
+        resolved.palette = palette.length ? palette : resolveTheme(base).palette;
+    }
+    
+    return resolved;
+}
+
+// Call back whenever the OS color scheme or contrast setting changes. Returns an unsubscribe function
+function watchThemePreference(callback) {
+    if (typeof window === 'undefined' || !window.matchMedia) return () => {};
+    
+    const queries = ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].map(query => window.matchMedia(query));
+    const handleChange = () => callback(getPreferredThemeName());
+    
+    queries.forEach(query => {
+        if (query.addEventListener) {
+            query.addEventListener('change', handleChange);
+        } else if (query.addListener) {
+            query.addListener(handleChange); // Older Safari
+        }
+    });
+    
+    return () => queries.forEach(query => {
+        if (query.removeEventListener) {
+            query.removeEventListener('change', handleChange);
+        } else if (query.removeListener) {
+            query.removeListener(handleChange);
+        }
+    });
+}
+
+// Page chrome follows the chart: the theme's CSS custom properties on the root element
+function applyPageTheme(theme, root = document.documentElement) {
+    Object.entries(theme.ui || {}).forEach(([property, value]) => root.style.setProperty(property, value));
+    root.style.colorScheme = theme.name === 'light' ? 'light' : 'dark';
+    root.dataset.theme = theme.name;
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHART_THEMES,
+        THEME_NAMES,
+        resolveTheme,
+        mergeTheme,
+        isAutoTheme,
+        getPreferredThemeName,
+        watchThemePreference,
+        applyPageTheme
+    };
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+// databutter - Transport Controls
+// Scrub bar, step / reverse / loop buttons and keyboard shortcuts for an engine's timeline
+
+const PLAYBACK_RATE_STEP = 0.25;
+const PLAYBACK_RATE_LIMITS = [0.25, 4]; // Without a rateInput - otherwise its min and max apply
+
+// Keyboard map - `action` is a TransportControls method, `shift` requires Shift held
+const TRANSPORT_SHORTCUTS = [
+    { code: 'Space', action: 'togglePlayback', description: 'Play / pause' },
+    { code: 'KeyR', action: 'restart', description: 'Replay from the start' },
+    { code: 'KeyB', action: 'reverse', description: 'Play backwards (un-reveal)' },
+    { code: 'ArrowLeft', action: 'stepBack', description: 'Back one frame' },
+    { code: 'ArrowRight', action: 'stepForward', description: 'Forward one frame' },
+    { code: 'ArrowLeft', shift: true, action: 'jumpBack', description: 'Back 10%' },
+    { code: 'ArrowRight', shift: true, action: 'jumpForward', description: 'Forward 10%' },
+    { code: 'Home', action: 'seekStart', description: 'Rewind to the start' },
+    { code: 'End', action: 'seekEnd', description: 'Skip to the end' },
+    { code: 'KeyL', action: 'cycleMode', description: 'Cycle once / loop / yoyo' },
+    { code: 'BracketLeft', action: 'slower', description: 'Slower playback' },
+    { code: 'BracketRight', action: 'faster', description: 'Faster playback' }
+];
+
+class TransportControls {
+    // elements (all optional): scrubber, playPauseButton, stepBackButton, stepForwardButton,
+    // reverseButton, modeSelect, rateInput, timeDisplay, keyTarget (defaults to document)
+    constructor(engine, elements = {}) {
+        this.engine = engine;
+        this.elements = elements;
+        this.keyTarget = elements.keyTarget || document;
+        this.scrubbing = false;
+        this.resumeAfterScrub = false;
+        this.cleanups = [];
+        
+        this.bindElements();
+        this.bindEngine();
+        this.bindKeyboard();
+        this.sync();
+    }
+    
+    listen(target, event, handler) {
+        if (!target) return;
+        target.addEventListener(event, handler);
+        this.cleanups.push(() => target.removeEventListener(event, handler));
+    }
+    
+    bindElements() {
+        const { scrubber, playPauseButton, stepBackButton, stepForwardButton, reverseButton, modeSelect, rateInput } = this.elements;
+        
+        // Scrubbing pauses the reveal; letting go picks up where it was
+        this.listen(scrubber, 'input', () => {
+            if (!this.scrubbing) {
+                this.scrubbing = true;
+                this.resumeAfterScrub = this.engine.isPlaying;
+                this.engine.pause();
+            }
+            this.engine.seekToProgress(scrubber.value / scrubber.max);
+        });
+        
+        this.listen(scrubber, 'change', () => {
+            this.scrubbing = false;
+            if (this.resumeAfterScrub) {
+                this.engine.play();
+            }
+        });
+        
+        this.listen(playPauseButton, 'click', () => this.togglePlayback());
+        this.listen(stepBackButton, 'click', () => this.stepBack());
+        this.listen(stepForwardButton, 'click', () => this.stepForward());
+        this.listen(reverseButton, 'click', () => this.reverse());
+        this.listen(modeSelect, 'change', () => this.engine.setPlaybackMode(modeSelect.value));
+        
+        this.listen(rateInput, 'input', () => {
+            const rate = parseFloat(rateInput.value);
+            if (rate > 0) {
+                this.engine.setPlaybackRate(rate);
+            }
+        });
+    }
+    
+    // Keep the controls in step with whatever the engine is doing
+    bindEngine() {
+        ['play', 'pause', 'resume', 'reverse', 'seek', 'timeupdate', 'loop', 'complete', 'reset']
+            .forEach(event => this.cleanups.push(this.engine.on(event, () => this.sync())));
+    }
+    
+    bindKeyboard() {
+        this.listen(this.keyTarget, 'keydown', event => {
+            // Leave typing in form fields, buttons and links (Space activates them) and the data
+            // table's arrow keys alone, along with anything another handler already took
+            const target = event.target;
+            if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey ||
+                (target?.closest && target.closest('input, select, textarea, button, a[href], [role="grid"], table'))) {
+                return;
+            }
+            
+            const shortcut = TRANSPORT_SHORTCUTS.find(candidate =>
+                candidate.code === event.code && !!candidate.shift === event.shiftKey);
+            if (!shortcut) return;
+            
+            event.preventDefault();
+            this[shortcut.action]();
+        });
+    }
+    
+    togglePlayback() {
+        this.engine.togglePlayback();
+    }
+    
+    restart() {
+        this.engine.reset();
+        this.engine.play();
+    }
+    
+    reverse() {
+        this.engine.reverse();
+    }
+    
+    stepBack() {
+        this.engine.stepFrame(-1);
+    }
+    
+    stepForward() {
+        this.engine.stepFrame(1);
+    }
+    
+    jumpBack() {
+        this.engine.seekToProgress(this.engine.getPlaybackState().progress - 0.1);
+    }
+    
+    jumpForward() {
+        this.engine.seekToProgress(this.engine.getPlaybackState().progress + 0.1);
+    }
+    
+    seekStart() {
+        this.engine.seekToProgress(0);
+    }
+    
+    seekEnd() {
+        this.engine.seekToProgress(1);
+    }
+    
+    cycleMode() {
+        const { mode } = this.engine.getPlaybackState();
+        const next = PLAYBACK_MODES[(PLAYBACK_MODES.indexOf(mode) + 1) % PLAYBACK_MODES.length];
+        this.engine.setPlaybackMode(next);
+        this.sync();
+    }
+    
+    slower() {
+        this.changeRate(-PLAYBACK_RATE_STEP);
+    }
+    
+    faster() {
+        this.changeRate(PLAYBACK_RATE_STEP);
+    }
+    
+    // The rate field's own min, max and step, so [ and ] never set a value the field calls invalid
+    getRateLimits() {
+        const { rateInput } = this.elements;
+        const min = parseFloat(rateInput?.min);
+        const max = parseFloat(rateInput?.max);
+        const step = parseFloat(rateInput?.step);
+        
+        return {
+            min: Number.isFinite(min) && min > 0 ? min : PLAYBACK_RATE_LIMITS[0],
+            max: Number.isFinite(max) ? max : PLAYBACK_RATE_LIMITS[1],
+            step: Number.isFinite(step) && step > 0 ? step : null
+        };
+    }
+    
+    changeRate(delta) {
+        const { min, max, step } = this.getRateLimits();
+        let rate = Math.max(min, Math.min(max, this.engine.getPlaybackState().rate + delta));
+        if (step) {
+            rate = Math.min(max, +(min + Math.round((rate - min) / step) * step).toFixed(6));
+        }
+        this.engine.setPlaybackRate(rate);
+        this.sync();
+    }
+    
+    sync() {
+        const { scrubber, playPauseButton, modeSelect, rateInput, timeDisplay } = this.elements;
+        const state = this.engine.getPlaybackState();
+        
+        if (scrubber && !this.scrubbing) {
+            scrubber.value = Math.round(state.progress * scrubber.max);
+        }
+        
+        if (playPauseButton) {
+            playPauseButton.textContent = state.isPlaying ? '⏸' : '▶';
+        }
+        
+        if (modeSelect && modeSelect.value !== state.mode) {
+            modeSelect.value = state.mode;
+        }
+        
+        if (rateInput && document.activeElement !== rateInput) {
+            rateInput.value = state.rate;
+        }
+        
+        if (timeDisplay) {
+            timeDisplay.textContent = `${state.time.toFixed(2)}s / ${state.duration.toFixed(2)}s`;
+        }
+    }
+    
+    destroy() {
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TransportControls, TRANSPORT_SHORTCUTS };
+}
\ No newline at end of file